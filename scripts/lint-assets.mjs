@@ -0,0 +1,255 @@
+#!/usr/bin/env node
+/** @file CLI asset linter: checks every object in objects.hjson against the files in public/. */
+import { existsSync, readFileSync } from 'node:fs';
+import { basename, dirname, join, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import HJSON from 'hjson';
+import { Box3, Matrix4, Quaternion, Vector3 } from 'three';
+import {
+  EXHIBITIONS_PATH,
+  FALLBACK_EXHIBITION,
+  resolveAssetPath as resolveAgainstRoot,
+  selectExhibition
+} from '../src/config.js';
+import { resolveObjectEntries } from '../src/configMerge.js';
+
+const ROOT = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+const GLB_MAGIC = 0x46546c67; // "glTF"
+const CHUNK_JSON = 0x4e4f534a; // "JSON"
+const DEFAULT_MAX_TRIANGLES = 100000;
+
+const options = parseArgs(process.argv.slice(2));
+const publicDir = resolve(ROOT, options.public ?? 'public');
+const exhibition = options.config ? null : readExhibition(options.exhibit);
+const configPath = options.config
+  ? resolve(ROOT, options.config)
+  : publicPath(exhibition?.config ?? FALLBACK_EXHIBITION.config);
+const assetRoot = exhibition?.assetRoot ?? '/';
+const maxTriangles = Number(options['max-triangles'] ?? DEFAULT_MAX_TRIANGLES);
+
+const results = lintAll();
+const errors = results.filter((result) => result.level === 'error');
+const warnings = results.filter((result) => result.level === 'warning');
+
+results.forEach(({ level, object, message }) => {
+  const mark = level === 'error' ? '✖' : '⚠';
+  console.log(`${mark} ${object}: ${message}`);
+});
+console.log(
+  `\n${errors.length} error${errors.length === 1 ? '' : 's'}, ` +
+    `${warnings.length} warning${warnings.length === 1 ? '' : 's'} ` +
+    `(triangle budget ${maxTriangles.toLocaleString('en-US')})`
+);
+process.exitCode = errors.length > 0 ? 1 : 0;
+
+/**
+ * Lint every configured object.
+ * @returns {{level: 'error' | 'warning', object: string, message: string}[]}
+ */
+function lintAll() {
+  if (!existsSync(configPath)) {
+    return [{ level: 'error', object: 'config', message: `not found at ${configPath}` }];
+  }
+  let parsed;
+  try {
+    parsed = HJSON.parse(readFileSync(configPath, 'utf8'));
+  } catch (parseError) {
+    return [{ level: 'error', object: 'config', message: `cannot parse: ${parseError.message}` }];
+  }
+  // Lint what the viewer will load: entries with `default` and their templates merged in.
+  const { entries } = resolveObjectEntries(parsed?.objects, parsed?.templates);
+  return entries.flatMap((entry) => lintObject(entry.name, entry));
+}
+
+function lintObject(name, entry) {
+  const results = [];
+  const error = (message) => results.push({ level: 'error', object: name, message });
+  const warning = (message) => results.push({ level: 'warning', object: name, message });
+
+  if (name !== name.toLowerCase()) error('object name is not lowercase');
+
+  [
+    ['modelPath', resolveAssetPath(entry.modelPath)],
+    ['thumbnail', resolveAssetPath(entry.thumbnail)]
+  ].forEach(([field, assetPath]) => {
+    if (!assetPath) {
+      error(`${field} is not set`);
+      return;
+    }
+    if (assetPath !== assetPath.toLowerCase()) error(`${field} "${assetPath}" is not lowercase`);
+    if (!existsSync(publicPath(assetPath))) error(`${field} file missing: ${relative(publicPath(assetPath))}`);
+  });
+
+  const modelFile = entry.modelPath && publicPath(resolveAssetPath(entry.modelPath));
+  if (!modelFile || !existsSync(modelFile)) return results;
+
+  let gltf;
+  try {
+    gltf = readGlbJson(modelFile);
+  } catch (parseError) {
+    error(`cannot parse ${basename(modelFile)}: ${parseError.message}`);
+    return results;
+  }
+
+  const triangles = countTriangles(gltf);
+  if (triangles > maxTriangles) {
+    warning(`${triangles.toLocaleString('en-US')} triangles exceeds the budget of ${maxTriangles.toLocaleString('en-US')}`);
+  }
+
+  (gltf.images ?? []).forEach((image, index) => {
+    if (image.uri && !image.uri.startsWith('data:')) {
+      warning(`texture ${image.name || index} is not embedded (references "${image.uri}")`);
+    }
+  });
+
+  checkOrientation(gltf).forEach(warning);
+
+  const nodeNames = new Set((gltf.nodes ?? []).map((node) => node.name).filter(Boolean));
+  (Array.isArray(entry.sockets) ? entry.sockets : []).forEach((socket) => {
+    if (socket?.id && !nodeNames.has(socket.id)) error(`socket "${socket.id}" is configured but not in the GLB`);
+  });
+
+  return results;
+}
+
+/**
+ * Read the JSON chunk of a binary glTF file.
+ * @param {string} file
+ * @returns {Record<string, any>}
+ */
+function readGlbJson(file) {
+  const buffer = readFileSync(file);
+  if (buffer.length < 20 || buffer.readUInt32LE(0) !== GLB_MAGIC) throw new Error('not a GLB file');
+  if (buffer.readUInt32LE(4) !== 2) throw new Error(`unsupported glTF version ${buffer.readUInt32LE(4)}`);
+  const chunkLength = buffer.readUInt32LE(12);
+  if (buffer.readUInt32LE(16) !== CHUNK_JSON) throw new Error('first chunk is not JSON');
+  return JSON.parse(buffer.subarray(20, 20 + chunkLength).toString('utf8'));
+}
+
+function countTriangles(gltf) {
+  const meshTriangles = (gltf.meshes ?? []).map((mesh) =>
+    (mesh.primitives ?? []).reduce((sum, primitive) => {
+      const mode = primitive.mode ?? 4;
+      const accessorIndex = primitive.indices ?? primitive.attributes?.POSITION;
+      const count = gltf.accessors?.[accessorIndex]?.count ?? 0;
+      if (mode === 4) return sum + Math.floor(count / 3);
+      if (mode === 5 || mode === 6) return sum + Math.max(count - 2, 0);
+      return sum;
+    }, 0)
+  );
+
+  let total = 0;
+  walkNodes(gltf, (node) => {
+    if (node.mesh != null) total += meshTriangles[node.mesh] ?? 0;
+  });
+  return total;
+}
+
+/**
+ * Heuristics for the "upright, facing +Z" guideline: a rotated root usually means transforms were
+ * not applied on export, and a model whose height is its smallest extent is probably lying down.
+ * @param {Record<string, any>} gltf
+ * @returns {string[]}
+ */
+function checkOrientation(gltf) {
+  const messages = [];
+  const roots = gltf.scenes?.[gltf.scene ?? 0]?.nodes ?? [];
+  roots.forEach((index) => {
+    const node = gltf.nodes?.[index];
+    const rotation = node?.rotation ?? (node?.matrix ? rotationFromMatrix(node.matrix) : null);
+    if (rotation && new Quaternion(...rotation).angleTo(new Quaternion()) > 1e-3) {
+      messages.push(`root node "${node.name || index}" is rotated; apply transforms so the model is upright and faces +Z`);
+    }
+  });
+
+  const bounds = new Box3();
+  walkNodes(gltf, (node, world) => {
+    const mesh = node.mesh != null ? gltf.meshes?.[node.mesh] : null;
+    (mesh?.primitives ?? []).forEach((primitive) => {
+      const accessor = gltf.accessors?.[primitive.attributes?.POSITION];
+      if (!accessor?.min || !accessor?.max) return;
+      bounds.union(new Box3(new Vector3(...accessor.min), new Vector3(...accessor.max)).applyMatrix4(world));
+    });
+  });
+  if (!bounds.isEmpty()) {
+    const size = bounds.getSize(new Vector3());
+    if (size.y < Math.min(size.x, size.z) && size.y < Math.max(size.x, size.z) * 0.5) {
+      messages.push('height (Y) is its smallest extent; the model may be lying down instead of upright');
+    }
+  }
+  return messages;
+}
+
+function walkNodes(gltf, visit) {
+  const roots = gltf.scenes?.[gltf.scene ?? 0]?.nodes ?? [];
+  const stack = roots.map((index) => [index, new Matrix4()]);
+  while (stack.length > 0) {
+    const [index, parentMatrix] = stack.pop();
+    const node = gltf.nodes?.[index];
+    if (!node) continue;
+    const world = parentMatrix.clone().multiply(localMatrix(node));
+    visit(node, world);
+    (node.children ?? []).forEach((child) => stack.push([child, world]));
+  }
+}
+
+function localMatrix(node) {
+  if (node.matrix) return new Matrix4().fromArray(node.matrix);
+  return new Matrix4().compose(
+    new Vector3(...(node.translation ?? [0, 0, 0])),
+    new Quaternion(...(node.rotation ?? [0, 0, 0, 1])),
+    new Vector3(...(node.scale ?? [1, 1, 1]))
+  );
+}
+
+function rotationFromMatrix(matrix) {
+  const quaternion = new Quaternion();
+  new Matrix4().fromArray(matrix).decompose(new Vector3(), quaternion, new Vector3());
+  return quaternion.toArray();
+}
+
+/**
+ * Read the exhibition profile to lint, selected the same way as in the viewer.
+ * @param {string | undefined} name - Profile name; the file's `default` when omitted.
+ * @returns {import('../src/config.js').Exhibition | null} null without an exhibitions file
+ */
+function readExhibition(name) {
+  const file = publicPath(EXHIBITIONS_PATH);
+  if (!existsSync(file)) {
+    if (name) fail(`--exhibit=${name} given but ${relative(file)} does not exist`);
+    return null;
+  }
+  const parsed = HJSON.parse(readFileSync(file, 'utf8'));
+  const { name: selected, exhibition: profile, available } = selectExhibition(parsed, name);
+  if (!profile) fail(`unknown exhibition "${selected}"; available: ${available.join(', ') || 'none'}`);
+  console.log(`Exhibition "${selected}"\n`);
+  return profile;
+}
+
+function resolveAssetPath(assetPath) {
+  return resolveAgainstRoot(assetPath, assetRoot);
+}
+
+function fail(message) {
+  console.error(`✖ ${message}`);
+  process.exit(1);
+}
+
+function publicPath(assetPath) {
+  return join(publicDir, assetPath.replace(/^\/+/, ''));
+}
+
+function relative(file) {
+  return file.startsWith(ROOT) ? file.slice(ROOT.length + 1) : file;
+}
+
+function parseArgs(args) {
+  return Object.fromEntries(
+    args
+      .filter((arg) => arg.startsWith('--'))
+      .map((arg) => {
+        const [key, ...value] = arg.slice(2).split('=');
+        return [key, value.length > 0 ? value.join('=') : 'true'];
+      })
+  );
+}
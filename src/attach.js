@@ -0,0 +1,108 @@
+/** @file Socket snapping: resolve drop targets and align accessories onto sockets. */
+import { Euler, Matrix4, Quaternion, Vector3 } from 'three';
+
+export const CHILD_SOCKET_ID = 'socket_c_0';
+export const PARENT_SOCKET_PREFIX = 'socket_p_';
+
+/**
+ * Find the parent socket closest to a pointer ray.
+ * Only sockets that are currently rendered (attached to a scene and visible) are considered,
+ * so hidden preloaded templates never capture a drop.
+ * @param {import('three').Ray} ray
+ * @param {{objectId: string, socketId: string, threeJsNode: import('three').Object3D}[]} sockets
+ * @param {{
+ *   maxDistance: number | ((socket: {objectId: string, socketId: string}) => number),
+ *   filter?: (socket: {objectId: string, socketId: string}) => boolean
+ * }} options - `maxDistance` may be resolved per socket.
+ * @returns {{socket: {objectId: string, socketId: string, threeJsNode: import('three').Object3D}, distance: number} | null}
+ */
+export function findNearestSocket(ray, sockets, { maxDistance, filter }) {
+  if (!ray || !Array.isArray(sockets)) return null;
+  const captureFor = typeof maxDistance === 'function' ? maxDistance : () => maxDistance;
+
+  const worldPosition = new Vector3();
+  let best = null;
+  sockets.forEach((socket) => {
+    if (!socket?.socketId?.startsWith(PARENT_SOCKET_PREFIX)) return;
+    if (!isRendered(socket.threeJsNode)) return;
+    if (filter && !filter(socket)) return;
+
+    socket.threeJsNode.getWorldPosition(worldPosition);
+    const distance = ray.distanceToPoint(worldPosition);
+    const capture = captureFor(socket);
+    if (!(capture > 0) || distance > capture) return;
+    if (!best || distance < best.distance) {
+      best = { socket, distance };
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Parent a model to a socket node so that the model's child socket coincides with it.
+ * @param {import('three').Object3D} model - Accessory root to attach.
+ * @param {import('three').Object3D} socketNode - Parent socket empty on the host.
+ * @param {{
+ *   worldScale?: number,
+ *   childSocketId?: string,
+ *   rotationOffset?: number[],
+ *   childRotationOffset?: number[]
+ * }} [options] - Rotation offsets are Euler radians applied on top of each socket empty.
+ * @returns {import('three').Object3D} the attached model
+ */
+export function attachToSocket(model, socketNode, options = {}) {
+  const {
+    worldScale = 1,
+    childSocketId = CHILD_SOCKET_ID,
+    rotationOffset,
+    childRotationOffset
+  } = options;
+
+  // Offset of the child socket relative to the model root, measured at unit scale.
+  model.removeFromParent();
+  model.position.set(0, 0, 0);
+  model.quaternion.identity();
+  model.scale.setScalar(1);
+  model.updateMatrixWorld(true);
+  const childSocket = model.getObjectByName(childSocketId);
+  const childOffset = childSocket ? childSocket.matrixWorld.clone() : new Matrix4();
+  childOffset.multiply(new Matrix4().makeRotationFromQuaternion(offsetQuaternion(childRotationOffset)));
+
+  // Desired world transform of the child socket: socket pose at the accessory's world scale.
+  socketNode.updateWorldMatrix(true, false);
+  const socketPosition = new Vector3();
+  const socketQuaternion = new Quaternion();
+  const socketScale = new Vector3();
+  socketNode.matrixWorld.decompose(socketPosition, socketQuaternion, socketScale);
+  socketQuaternion.multiply(offsetQuaternion(rotationOffset));
+  const target = new Matrix4().compose(
+    socketPosition,
+    socketQuaternion,
+    new Vector3(worldScale, worldScale, worldScale)
+  );
+
+  // model world = target * childOffset^-1, then expressed in the socket's local space.
+  const modelWorld = target.multiply(childOffset.invert());
+  const local = socketNode.matrixWorld.clone().invert().multiply(modelWorld);
+  local.decompose(model.position, model.quaternion, model.scale);
+  socketNode.add(model);
+  model.updateMatrixWorld(true);
+
+  return model;
+}
+
+function offsetQuaternion(offset) {
+  if (!Array.isArray(offset)) return new Quaternion();
+  return new Quaternion().setFromEuler(new Euler(offset[0] || 0, offset[1] || 0, offset[2] || 0));
+}
+
+function isRendered(node) {
+  let current = node;
+  while (current) {
+    if (!current.visible) return false;
+    if (current.isScene) return true;
+    current = current.parent;
+  }
+  return false;
+}
@@ -0,0 +1,200 @@
+/** @file Runtime switching of the displayed base sculpture, plus its picker UI. */
+import { getModelMeta, loadModel } from './loaders.js';
+import { fitCameraToModel, scaleForEntry, scaleZoomRange } from './framing.js';
+import { getInstances, registerInstance, removeInstance } from './placements.js';
+
+const DEFAULT_TRANSITION_MS = 600;
+
+/**
+ * Create a controller that swaps the displayed base and rebinds everything tied to it.
+ * @param {{
+ *   scene: import('three').Scene,
+ *   camera: import('three').PerspectiveCamera,
+ *   bases: Record<string, any>[],
+ *   accessories: Record<string, any>[],
+ *   interaction: {
+ *     setModel: Function,
+ *     setConfig: Function,
+ *     enable: () => void,
+ *     disable: () => void,
+ *     isEnabled: () => boolean
+ *   },
+ *   applySceneConfig?: (sceneConfig: Object) => void,
+ *   drag?: { setBase: Function },
+ *   initialBase: Record<string, any>,
+ *   initialModel: import('three').Object3D,
+ *   pendingModels?: Map<string, Promise<import('three').Object3D | null>>
+ * }} options - `pendingModels` holds base loads already in flight, so a switch waits for them
+ *   instead of fetching the GLB a second time.
+ * @returns {{
+ *   switchTo: (name: string, options?: {duration?: number}) => Promise<boolean>,
+ *   isSwitching: () => boolean,
+ *   getCurrent: () => {entry: Record<string, any>, model: import('three').Object3D}
+ * }}
+ */
+export function createBaseSwitcher(options) {
+  const {
+    scene,
+    camera,
+    bases = [],
+    accessories = [],
+    interaction,
+    applySceneConfig,
+    drag,
+    pendingModels = new Map()
+  } = options;
+  let current = { entry: options.initialBase, model: options.initialModel };
+  let switching = null;
+  const restScales = new Map([[options.initialModel, options.initialModel.scale.clone()]]);
+
+  async function switchTo(name, { duration = DEFAULT_TRANSITION_MS } = {}) {
+    // Switches queue up: each waits until no other switch is running.
+    while (switching) await switching;
+    if (name === current.entry.name) return false;
+    const entry = bases.find((candidate) => candidate.name === name);
+    if (!entry) {
+      console.warn(`WARNING: Unknown base "${name}"; keeping "${current.entry.name}".`);
+      return false;
+    }
+
+    switching = runSwitch(entry, duration);
+    try {
+      return await switching;
+    } finally {
+      switching = null;
+    }
+  }
+
+  async function runSwitch(entry, duration) {
+    const model =
+      getModelMeta(entry.name)?.model ||
+      (await (pendingModels.get(entry.name) ?? loadModel(scene, { ...entry, addToScene: false })));
+    if (!model) {
+      console.warn(`WARNING: Base "${entry.name}" could not be loaded; keeping "${current.entry.name}".`);
+      return false;
+    }
+
+    // A drag may already have disabled rotation; hand back whatever state the switch found.
+    const wasEnabled = interaction.isEnabled();
+    interaction.disable();
+    const previous = current;
+    await animateScale(previous.model, restScaleOf(previous.model), 1, 0, duration / 2);
+
+    // Removing the outgoing base's instance cascades to the accessories placed on it.
+    getInstances()
+      .filter((instance) => instance.model === previous.model)
+      .forEach((instance) => removeInstance(instance.instanceId));
+    previous.model.scale.copy(restScaleOf(previous.model));
+    previous.model.visible = false;
+
+    const restScale = restScaleOf(model);
+    const rotation = entry.rotation ?? [0, 0, 0];
+    model.rotation.set(rotation[0] ?? 0, rotation[1] ?? 0, rotation[2] ?? 0);
+    model.scale.copy(restScale);
+    model.visible = true;
+    scene.add(model);
+    registerInstance(entry.name, model);
+
+    // The incoming base's own background, lights and fov; fov must be set before framing.
+    applySceneConfig?.(entry.scene);
+    const fitDistance = fitCameraToModel(camera, model, {
+      padding: entry.scene?.fitPadding ?? 1.0,
+      portraitScale: entry.scene?.fitPaddingPortraitScale ?? 1.25
+    });
+    const baseCameraZ = entry.scene?.camera?.position?.[2] ?? 5;
+    interaction.setModel(model, scaleZoomRange(entry.interaction || {}, baseCameraZ, fitDistance));
+    // Zoom limits were scaled to the framing above; the rest of the block applies as configured.
+    const { minZoom, maxZoom, ...tuning } = entry.interaction || {};
+    interaction.setConfig(tuning, { replace: true });
+
+    const baseSize = Number.isFinite(entry.size) ? entry.size : 1;
+    const baseRadius = radiusOf(entry.name);
+    rescaleAccessories(baseSize, baseRadius);
+    drag?.setBase({ baseModel: model, baseSize, baseRadius });
+
+    current = { entry, model };
+    model.scale.setScalar(0);
+    await animateScale(model, restScale, 0, 1, duration / 2);
+    if (wasEnabled) interaction.enable();
+    return true;
+  }
+
+  function rescaleAccessories(baseSize, baseRadius) {
+    accessories.forEach((accessory) => {
+      const meta = getModelMeta(accessory.name);
+      if (!meta?.model) return;
+      const scale = scaleForEntry(accessory, baseSize, baseRadius, meta.radius);
+      if (scale != null) meta.model.scale.setScalar(scale);
+    });
+  }
+
+  function restScaleOf(model) {
+    if (!restScales.has(model)) restScales.set(model, model.scale.clone());
+    return restScales.get(model);
+  }
+
+  return { switchTo, isSwitching: () => switching != null, getCurrent: () => current };
+}
+
+/**
+ * Render base thumbnails that switch the displayed sculpture. Hidden with fewer than two bases.
+ * @param {{bases: {name: string, thumbnail?: string}[], onSelect: (name: string) => void}} config
+ * @returns {{setCurrent: (name: string) => void} | undefined}
+ */
+export function initBasePicker({ bases = [], onSelect } = {}) {
+  const picker = document.getElementById('bases');
+  if (!picker) return undefined;
+
+  picker.replaceChildren();
+  if (bases.length < 2) return undefined;
+
+  bases.forEach((item) => {
+    const img = document.createElement('img');
+    img.className = 'thumb';
+    img.src = item.thumbnail || '';
+    img.alt = item.name || '';
+    img.dataset.baseId = item.name || '';
+    img.draggable = false;
+    picker.appendChild(img);
+  });
+
+  picker.addEventListener('pointerdown', (event) => {
+    const target = event.target?.closest?.('[data-base-id]');
+    if (!target) return;
+    event.preventDefault();
+    // Keep the press from also starting a sculpture rotation.
+    event.stopPropagation();
+    onSelect?.(target.dataset.baseId);
+  });
+
+  function setCurrent(name) {
+    picker.querySelectorAll('[data-base-id]').forEach((el) => {
+      el.classList.toggle('current', el.dataset.baseId === name);
+    });
+  }
+
+  return { setCurrent };
+}
+
+function radiusOf(name) {
+  const radius = getModelMeta(name)?.radius;
+  return Number.isFinite(radius) && radius > 0 ? radius : 1;
+}
+
+function animateScale(model, restScale, fromFactor, toFactor, duration) {
+  const start = performance.now();
+
+  return new Promise((resolve) => {
+    function step(now) {
+      const t = duration > 0 ? Math.min(1, (now - start) / duration) : 1;
+      const eased = t * t * (3 - 2 * t);
+      model.scale.copy(restScale).multiplyScalar(fromFactor + (toFactor - fromFactor) * eased);
+      if (t < 1) {
+        requestAnimationFrame(step);
+      } else {
+        resolve();
+      }
+    }
+    requestAnimationFrame(step);
+  });
+}
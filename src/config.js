@@ -1,43 +1,141 @@
 /** @file Loads and normalizes object configuration from HJSON. */
 import HJSON from 'hjson';
+import { resolveObjectEntries } from './configMerge.js';
+import { validateConfig, validateExhibitions } from './configSchema.js';
+import { reportProblems } from './problems.js';
+
+export const EXHIBITIONS_PATH = '/config/exhibitions.hjson';
+export const FALLBACK_EXHIBITION = { name: 'default', config: '/config/objects.hjson', assetRoot: '/' };
+
+/**
+ * @typedef {Object} Exhibition
+ * @property {string} name - Profile name, as used in `?exhibit=<name>`.
+ * @property {string} config - URL of the profile's objects.hjson.
+ * @property {string} assetRoot - Base URL that relative `modelPath`/`thumbnail` values resolve against.
+ * @property {string} [title]
+ */
+
+/**
+ * Pick the exhibition profile for this page: `?exhibit=<name>` when given, otherwise the `default`
+ * profile of exhibitions.hjson. Without an exhibitions file the single objects.hjson is used.
+ * @param {string} [search] - Query string to read `exhibit` from.
+ * @returns {Promise<Exhibition>}
+ * @throws {Error} when the requested profile does not exist
+ */
+export async function resolveExhibition(search = window.location.search) {
+  const requested = new URLSearchParams(search).get('exhibit');
+  const response = await fetch(EXHIBITIONS_PATH);
+  // Dev servers answer missing files with the app's index.html, so treat HTML as "not there".
+  const missing = !response.ok || response.headers.get('content-type')?.includes('text/html');
+  if (missing) {
+    if (requested) {
+      throw unknownExhibition(requested, [], `${EXHIBITIONS_PATH} could not be loaded (HTTP ${response.status})`);
+    }
+    return FALLBACK_EXHIBITION;
+  }
+
+  const parsed = HJSON.parse(await response.text());
+  reportProblems('exhibitions.hjson', validateExhibitions(parsed));
+
+  const { name, exhibition, available } = selectExhibition(parsed, requested);
+  if (!exhibition) {
+    throw unknownExhibition(name, available, requested ? 'requested in the URL' : 'set as default');
+  }
+  return exhibition;
+}
 
 /**
- * Fetch and parse the object configuration from the public config folder.
+ * Pick a profile from parsed exhibitions.hjson: `requested` when given, otherwise the file's
+ * `default`, otherwise the first profile. Shared with scripts/lint-assets.mjs.
+ * @param {Record<string, any>} parsed
+ * @param {string | null} [requested]
+ * @returns {{name: string, exhibition: Exhibition | null, available: string[]}} `exhibition` is
+ *   null when the chosen profile does not exist or has no `config`.
+ */
+export function selectExhibition(parsed, requested) {
+  const profiles = parsed?.profiles ?? {};
+  const name = requested || parsed?.default || Object.keys(profiles)[0];
+  const profile = profiles[name];
+  return {
+    name,
+    exhibition: profile?.config ? { name, assetRoot: '/', ...profile } : null,
+    available: Object.keys(profiles)
+  };
+}
+
+function unknownExhibition(name, known, reason) {
+  const problem = {
+    path: `profiles.${name}`,
+    message: `is not a known exhibition (${reason}); available: ${known.join(', ') || 'none'}`
+  };
+  reportProblems('exhibitions.hjson', [problem]);
+  return new Error(`Unknown exhibition "${name}". Available: ${known.join(', ') || 'none'}.`);
+}
+
+/**
+ * Resolve an asset path from config against the exhibition's asset root. Absolute paths and full
+ * URLs are left alone so existing configs keep working.
+ * @param {string | undefined} path
+ * @param {string} assetRoot
+ * @returns {string | undefined}
+ */
+export function resolveAssetPath(path, assetRoot) {
+  if (!path || /^([a-z][a-z\d+.-]*:|\/)/i.test(path)) return path;
+  return `${assetRoot.replace(/\/*$/, '/')}${path}`;
+}
+
+/**
+ * Fetch and parse the object configuration of the selected exhibition.
+ * @param {Exhibition} [exhibition] - Defaults to the profile picked by resolveExhibition.
  * @returns {Promise<{
+ *   exhibition: Exhibition,
  *   base: Record<string, any>,
  *   bases: Record<string, any>[],
  *   accessories: Record<string, any>[],
  *   allObjects: Record<string, any>[],
- *   debug: Record<string, any>
+ *   debug: Record<string, any>,
+ *   idle: Record<string, any>,
+ *   sceneState: Record<string, any>,
+ *   history: Record<string, any>,
+ *   snapshot: Record<string, any>,
+ *   exportGlb: Record<string, any>,
+ *   tuning: Record<string, any>
  * }>}
  */
-export async function loadObjectConfig() {
-  const response = await fetch('/config/objects.hjson');
+export async function loadObjectConfig(exhibition) {
+  const selected = exhibition ?? (await resolveExhibition());
+  const response = await fetch(selected.config);
   if (!response.ok) {
-    throw new Error(`Failed to load object config: ${response.status} ${response.statusText}`);
+    throw new Error(
+      `Failed to load object config for exhibition "${selected.name}" from ${selected.config}: ` +
+        `${response.status} ${response.statusText}`
+    );
   }
 
   const rawText = await response.text();
   const parsed = HJSON.parse(rawText);
+  const { entries, problems } = resolveObjectEntries(parsed?.objects, parsed?.templates);
+  // Report everything wrong up front; loading continues with whatever is usable.
+  reportProblems(configLabel(selected), [...validateConfig(parsed), ...problems]);
 
-  const objects = parsed?.objects ?? {};
-  const defaults = objects.default ?? {};
   const debug = parsed?.debug ?? {};
+  const idle = parsed?.idle ?? {};
+  const sceneState = parsed?.sceneState ?? {};
+  const history = parsed?.history ?? {};
+  const snapshot = parsed?.snapshot ?? {};
+  const exportGlb = parsed?.exportGlb ?? {};
+  const tuning = parsed?.tuning ?? {};
 
-  const allObjects = Object.entries(objects)
-    .filter(([name]) => name !== 'default')
-    .map(([name, value]) => {
-      const mergedScene = { ...(defaults.scene || {}), ...(value.scene || {}) };
-      const mergedInteraction = { ...(defaults.interaction || {}), ...(value.interaction || {}) };
-
-      return {
-        name,
-        ...defaults,
-        ...value,
-        scene: mergedScene,
-        interaction: mergedInteraction
-      };
-    });
+  // Entries missing a required field were reported above; loading them would only throw.
+  const allObjects = entries
+    .filter((entry) => entry.objClass != null && typeof entry.modelPath === 'string' && entry.modelPath)
+    .map((entry) => ({
+      ...entry,
+      scene: entry.scene ?? {},
+      interaction: entry.interaction ?? {},
+      modelPath: resolveAssetPath(entry.modelPath, selected.assetRoot),
+      thumbnail: resolveAssetPath(entry.thumbnail, selected.assetRoot)
+    }));
 
   const bases = allObjects.filter((entry) => entry?.objClass === 'base');
   const accessories = allObjects.filter((entry) => entry?.objClass === 'accessory');
@@ -48,5 +146,23 @@ export async function loadObjectConfig() {
 
   const base = bases[0];
 
-  return { base, bases, accessories, allObjects, debug };
+  return {
+    exhibition: selected,
+    base,
+    bases,
+    accessories,
+    allObjects,
+    debug,
+    idle,
+    sceneState,
+    history,
+    snapshot,
+    exportGlb,
+    tuning
+  };
+}
+
+function configLabel(exhibition) {
+  const file = exhibition.config.split('/').pop();
+  return exhibition === FALLBACK_EXHIBITION ? file : `${file} (${exhibition.name})`;
 }
@@ -0,0 +1,101 @@
+/** @file Resolves object inheritance: `objects.default`, named `templates` and `extends` chains. */
+
+/**
+ * Deep-merge plain objects left to right. Nested objects merge key by key; arrays and scalars
+ * from later sources replace earlier ones. Sources are not modified.
+ * @param {...Record<string, any>} sources
+ * @returns {Record<string, any>}
+ */
+export function deepMerge(...sources) {
+  const result = {};
+  sources.forEach((source) => {
+    if (!isPlainObject(source)) return;
+    Object.entries(source).forEach(([key, value]) => {
+      result[key] = isPlainObject(value) && isPlainObject(result[key]) ? deepMerge(result[key], value) : clone(value);
+    });
+  });
+  return result;
+}
+
+/**
+ * Merge every object entry with what it inherits. Order, lowest priority first:
+ * `objects.default`, then each template named in `extends` (a template's own `extends` are merged
+ * before the template itself), then the object's own fields. Unknown templates and cycles are
+ * reported and skipped.
+ * @param {Record<string, any>} objects - Raw `objects` block, including `default`.
+ * @param {Record<string, any>} [templates] - Raw `templates` block.
+ * @returns {{
+ *   entries: Record<string, any>[],
+ *   problems: {path: string, object?: string, message: string}[]
+ * }} entries carry their key as `name`; `extends` is removed once resolved.
+ */
+export function resolveObjectEntries(objects = {}, templates = {}) {
+  const problems = [];
+  const resolved = new Map();
+
+  function resolveTemplate(name, path, chain) {
+    if (chain.includes(name)) {
+      problems.push(problem(`${path}.extends`, `forms a cycle: ${[...chain, name].join(' → ')}`));
+      return {};
+    }
+    if (resolved.has(name)) return resolved.get(name);
+    const template = templates[name];
+    if (!isPlainObject(template)) {
+      problems.push(problem(`${path}.extends`, `names unknown template "${name}"`));
+      return {};
+    }
+
+    const merged = inherit(template, `templates.${name}`, [...chain, name]);
+    resolved.set(name, merged);
+    return merged;
+  }
+
+  function inherit(entry, path, chain = []) {
+    const { extends: parents, ...own } = entry;
+    const inherited = toList(parents).map((parent) => resolveTemplate(parent, path, chain));
+    return deepMerge(...inherited, own);
+  }
+
+  const defaults = isPlainObject(objects.default) ? objects.default : {};
+  const entries = Object.entries(objects)
+    .filter(([name]) => name !== 'default')
+    .map(([name, value]) => {
+      const entry = isPlainObject(value) ? value : {};
+      return { name, ...deepMerge(defaults, inherit(entry, `objects.${name}`)) };
+    });
+
+  entries.forEach((entry) => {
+    ['objClass', 'modelPath'].forEach((field) => {
+      if (entry[field] == null) {
+        problems.push(
+          problem(
+            `objects.${entry.name}.${field}`,
+            'is required but missing (not set by the object, its templates or default)'
+          )
+        );
+      }
+    });
+  });
+
+  return { entries, problems };
+}
+
+function problem(path, message) {
+  const [section, object] = path.split('.');
+  return { path, object: section === 'objects' ? object : undefined, message };
+}
+
+function toList(value) {
+  if (value == null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function clone(value) {
+  if (Array.isArray(value)) return value.map(clone);
+  if (isPlainObject(value)) return deepMerge(value);
+  return value;
+}
+
+function isPlainObject(value) {
+  return value != null && typeof value === 'object' && !Array.isArray(value);
+}
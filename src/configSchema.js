@@ -0,0 +1,300 @@
+/** @file JSON Schema for objects.hjson and a validator that reports every problem by path. */
+import Ajv from 'ajv';
+
+const number = { type: 'number' };
+const positiveNumber = { type: 'number', exclusiveMinimum: 0 };
+const color = { type: 'string' };
+const vector3 = { type: 'array', items: number, minItems: 3, maxItems: 3 };
+const socketId = { type: 'string', pattern: '^socket_[pc]_\\d+$' };
+
+const sceneSchema = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    background: color,
+    camera: {
+      type: 'object',
+      additionalProperties: false,
+      properties: { fov: positiveNumber, position: vector3 }
+    },
+    fitPadding: positiveNumber,
+    fitPaddingPortraitScale: positiveNumber,
+    lights: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        directional: {
+          type: 'object',
+          additionalProperties: false,
+          properties: { color, intensity: number, position: vector3 }
+        },
+        ambient: {
+          type: 'object',
+          additionalProperties: false,
+          properties: { color, intensity: number }
+        }
+      }
+    }
+  }
+};
+
+const interactionSchema = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    spinAcceleration: number,
+    spinFriction: { type: 'number', minimum: 0, maximum: 1 },
+    idleSpinImpulse: number,
+    minAngularSpeed: { type: 'number', minimum: 0 },
+    initialYawSpin: number,
+    uprightStrength: { type: 'number', minimum: 0 },
+    uprightThreshold: { type: 'number', minimum: 0 },
+    zoomSpeed: number,
+    pinchZoomMultiplier: number,
+    minZoom: positiveNumber,
+    maxZoom: positiveNumber,
+    xAxisMultiplier: number,
+    yAxisMultiplier: number,
+    removeLongPressMs: { type: 'number', minimum: 0 },
+    removeFlickSpeed: { type: 'number', minimum: 0 },
+    rotationMode: { enum: ['euler', 'trackball', 'turntable'] },
+    minPitch: number,
+    maxPitch: number
+  }
+};
+
+const socketSchema = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['id'],
+  properties: {
+    id: socketId,
+    role: { enum: ['parent', 'child'] },
+    positionHint: { type: 'string' },
+    rotationOffset: vector3,
+    capacity: { type: 'integer', minimum: 0 }
+  }
+};
+
+const sharedObjectProperties = {
+  modelPath: { type: 'string', minLength: 1 },
+  thumbnail: { type: 'string' },
+  size: positiveNumber,
+  sizeRank: number,
+  position: vector3,
+  rotation: vector3,
+  scale: { oneOf: [positiveNumber, vector3] },
+  influence: {
+    type: 'object',
+    additionalProperties: false,
+    properties: { radius: positiveNumber }
+  },
+  sockets: { type: 'array', items: socketSchema },
+  allowedSockets: {
+    type: 'object',
+    additionalProperties: { type: 'array', items: socketId }
+  },
+  scene: sceneSchema,
+  interaction: interactionSchema
+};
+
+const templateNames = {
+  oneOf: [
+    { type: 'string', minLength: 1 },
+    { type: 'array', items: { type: 'string', minLength: 1 } }
+  ]
+};
+
+// `objClass` and `modelPath` may come from templates, so they are checked after merging.
+const objectSchema = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    objClass: { enum: ['base', 'accessory'] },
+    extends: templateNames,
+    ...sharedObjectProperties
+  }
+};
+
+const defaultObjectSchema = {
+  type: 'object',
+  additionalProperties: false,
+  properties: sharedObjectProperties
+};
+
+export const configSchema = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['objects'],
+  properties: {
+    debug: {
+      type: 'object',
+      additionalProperties: false,
+      properties: { interactions: { type: 'boolean' } }
+    },
+    idle: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        timeout: { type: 'number', minimum: 0 },
+        resetDuration: { type: 'number', minimum: 0 },
+        demoInterval: { type: 'number', minimum: 0 },
+        demoPlacements: {
+          type: 'array',
+          items: {
+            type: 'object',
+            additionalProperties: false,
+            required: ['accessory', 'socket'],
+            properties: { accessory: { type: 'string' }, socket: socketId }
+          }
+        }
+      }
+    },
+    sceneState: {
+      type: 'object',
+      additionalProperties: false,
+      properties: { persist: { type: 'boolean' }, storageKey: { type: 'string', minLength: 1 } }
+    },
+    history: {
+      type: 'object',
+      additionalProperties: false,
+      properties: { maxSize: { type: 'integer', minimum: 1 } }
+    },
+    snapshot: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        width: positiveNumber,
+        height: positiveNumber,
+        background: color,
+        frame: {
+          type: 'object',
+          additionalProperties: false,
+          properties: { width: { type: 'number', minimum: 0 }, color }
+        },
+        title: { type: 'string' },
+        titleColor: color,
+        titleFont: { type: 'string' },
+        filename: { type: 'string', minLength: 1 }
+      }
+    },
+    exportGlb: {
+      type: 'object',
+      additionalProperties: false,
+      properties: { enabled: { type: 'boolean' }, filename: { type: 'string', minLength: 1 } }
+    },
+    tuning: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        enabled: { type: 'boolean' },
+        unlockFingers: { type: 'integer', minimum: 2 },
+        unlockHoldMs: { type: 'number', minimum: 0 }
+      }
+    },
+    templates: {
+      type: 'object',
+      additionalProperties: objectSchema
+    },
+    objects: {
+      type: 'object',
+      properties: { default: defaultObjectSchema },
+      additionalProperties: objectSchema
+    }
+  }
+};
+
+export const exhibitionsSchema = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['profiles'],
+  properties: {
+    default: { type: 'string', minLength: 1 },
+    profiles: {
+      type: 'object',
+      minProperties: 1,
+      additionalProperties: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['config'],
+        properties: {
+          config: { type: 'string', minLength: 1 },
+          assetRoot: { type: 'string' },
+          title: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
+const compiled = new Map();
+
+/**
+ * @typedef {Object} ConfigProblem
+ * @property {string} path - Dotted field path, e.g. `objects.bunny_hat.objClass`.
+ * @property {string | undefined} object - Object name when the problem is inside `objects`.
+ * @property {string} message - What is wrong, in plain words.
+ */
+
+/**
+ * Validate a parsed config against the schema, collecting every problem rather than the first.
+ * @param {unknown} parsed - Raw parsed HJSON, before defaults are merged.
+ * @returns {ConfigProblem[]}
+ */
+export function validateConfig(parsed) {
+  return validate(configSchema, parsed);
+}
+
+/**
+ * Validate a parsed exhibitions.hjson against its schema.
+ * @param {unknown} parsed
+ * @returns {ConfigProblem[]}
+ */
+export function validateExhibitions(parsed) {
+  return validate(exhibitionsSchema, parsed);
+}
+
+function validate(schema, parsed) {
+  if (!compiled.has(schema)) {
+    compiled.set(schema, new Ajv({ allErrors: true, verbose: true, strict: false }).compile(schema));
+  }
+  const check = compiled.get(schema);
+  if (check(parsed)) return [];
+
+  return check.errors
+    .filter((error) => !isNoise(error))
+    .map((error) => {
+      const segments = error.instancePath.split('/').filter(Boolean).map(decodePointer);
+      if (error.keyword === 'required') segments.push(error.params.missingProperty);
+      if (error.keyword === 'additionalProperties') segments.push(error.params.additionalProperty);
+      return {
+        path: segments.join('.') || '(root)',
+        object: segments[0] === 'objects' ? segments[1] : undefined,
+        message: describe(error)
+      };
+    });
+}
+
+function describe(error) {
+  switch (error.keyword) {
+    case 'required':
+      return 'is required but missing';
+    case 'additionalProperties':
+      return 'is not a recognized field (typo?)';
+    case 'enum':
+      return `must be one of ${error.params.allowedValues.map((value) => JSON.stringify(value)).join(', ')}, got ${JSON.stringify(error.data)}`;
+    case 'type':
+      return `must be ${error.params.type}, got ${JSON.stringify(error.data)}`;
+    default:
+      return error.message;
+  }
+}
+
+function isNoise(error) {
+  // `oneOf` repeats the failures of its branches; those are reported individually.
+  return error.keyword === 'oneOf';
+}
+
+function decodePointer(segment) {
+  return segment.replace(/~1/g, '/').replace(/~0/g, '~');
+}
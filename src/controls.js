@@ -0,0 +1,33 @@
+/** @file Small round buttons in the tray controls strip (undo, redo, picture, export). */
+
+/**
+ * Append a button to `#tray-controls`. Presses never reach the sculpture's rotate handler, and
+ * errors thrown or rejected by `onPress` are logged.
+ * @param {{action: string, glyph: string, label: string, onPress: () => unknown}} config
+ * @returns {HTMLButtonElement | undefined} the button, or undefined without a controls strip
+ */
+export function addTrayControl({ action, glyph, label, onPress }) {
+  const container = document.getElementById('tray-controls');
+  if (!container) return undefined;
+
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'control';
+  button.dataset.action = action;
+  button.textContent = glyph;
+  button.setAttribute('aria-label', label);
+  button.title = label;
+  container.appendChild(button);
+
+  button.addEventListener('pointerdown', (event) => {
+    event.preventDefault();
+    // Keep the press from also starting a sculpture rotation.
+    event.stopPropagation();
+    if (button.disabled) return;
+    Promise.resolve()
+      .then(onPress)
+      .catch((error) => console.warn(`WARNING: ${label} failed: ${error?.message || error}`));
+  });
+
+  return button;
+}
@@ -0,0 +1,102 @@
+/** @file Development hot reload: applies objects.hjson edits and changed GLBs to the running viewer. */
+import { loadObjectConfig } from './config.js';
+import { fitCameraToModel, scaleZoomRange } from './framing.js';
+import { reloadModelAsset } from './loaders.js';
+import { getInstances } from './placements.js';
+import { initSocketRules } from './socketsConfig.js';
+
+// Custom events sent by the `galleryHotReload` plugin in vite.config.js.
+const CONFIG_CHANGED_EVENT = 'gallery:config-changed';
+const ASSET_CHANGED_EVENT = 'gallery:asset-changed';
+
+/**
+ * Listen for config and asset changes from the Vite dev server. Scene, light and interaction
+ * values apply live; changed GLBs are patched into the loaded models. Does nothing in builds.
+ * @param {{
+ *   exhibition: import('./config.js').Exhibition,
+ *   allObjects: Record<string, any>[],
+ *   camera: import('three').PerspectiveCamera,
+ *   applySceneConfig: (sceneConfig: Object) => void,
+ *   interaction: {setConfig: Function, setModel: Function},
+ *   getCurrentBase: () => {entry: Record<string, any>, model: import('three').Object3D}
+ * }} options - `allObjects` entries are updated in place so every module holding them sees edits.
+ */
+export function initDevReload(options) {
+  if (!import.meta.hot) return;
+
+  import.meta.hot.on(CONFIG_CHANGED_EVENT, ({ path }) => {
+    if (path === options.exhibition.config) {
+      reloadConfig(options);
+    } else if (path.endsWith('/exhibitions.hjson')) {
+      window.location.reload();
+    }
+  });
+
+  import.meta.hot.on(ASSET_CHANGED_EVENT, async ({ path }) => {
+    const ids = await reloadModelAsset(path, (id) =>
+      getInstances()
+        .filter((instance) => instance.objectId === id)
+        .map((instance) => instance.model)
+    );
+    if (ids.length > 0) console.info(`Reloaded ${path} (${ids.join(', ')})`);
+  });
+}
+
+async function reloadConfig({ exhibition, allObjects, camera, applySceneConfig, interaction, getCurrentBase }) {
+  let next;
+  try {
+    next = await loadObjectConfig(exhibition);
+  } catch (error) {
+    console.warn(`WARNING: Config reload failed; keeping the current settings: ${error?.message || error}`);
+    return;
+  }
+
+  const { entry, model } = getCurrentBase();
+  const framingBefore = framingKey(entry);
+  updateEntries(allObjects, next.allObjects);
+  initSocketRules(allObjects);
+
+  applySceneConfig(entry.scene);
+  if (framingKey(entry) !== framingBefore) {
+    // Fov, padding or zoom limits changed: re-frame, as a base switch would.
+    const fitDistance = fitCameraToModel(camera, model, {
+      padding: entry.scene?.fitPadding ?? 1.0,
+      portraitScale: entry.scene?.fitPaddingPortraitScale ?? 1.25
+    });
+    const baseCameraZ = entry.scene?.camera?.position?.[2] ?? 5;
+    interaction.setModel(model, scaleZoomRange(entry.interaction || {}, baseCameraZ, fitDistance));
+  }
+  // Zoom limits are scaled to the framing above; everything else applies as configured, and keys
+  // deleted from the file fall back to their defaults.
+  const { minZoom, maxZoom, ...tuning } = entry.interaction || {};
+  interaction.setConfig(tuning, { replace: true });
+  console.info(`Applied ${exhibition.config} changes`);
+}
+
+function updateEntries(current, next) {
+  const added = next.filter((entry) => !current.some((existing) => existing.name === entry.name));
+  const removed = current.filter((existing) => !next.some((entry) => entry.name === existing.name));
+
+  next.forEach((entry) => {
+    const existing = current.find((candidate) => candidate.name === entry.name);
+    if (!existing) return;
+    Object.keys(existing).forEach((key) => delete existing[key]);
+    Object.assign(existing, entry);
+  });
+
+  if (added.length > 0 || removed.length > 0) {
+    const names = [...added, ...removed].map((entry) => entry.name).join(', ');
+    console.warn(`WARNING: Objects were added or removed (${names}); reload the page to apply.`);
+  }
+}
+
+function framingKey(entry) {
+  return JSON.stringify([
+    entry.scene?.camera?.fov,
+    entry.scene?.camera?.position,
+    entry.scene?.fitPadding,
+    entry.scene?.fitPaddingPortraitScale,
+    entry.interaction?.minZoom,
+    entry.interaction?.maxZoom
+  ]);
+}
@@ -1,9 +1,32 @@
-/** @file First-pass drag prototype for accessories from the tray. */
+/** @file Drag accessories from the tray or the sculpture and snap them onto sockets. */
 import { Box3, Plane, Raycaster, Sphere, Vector2, Vector3 } from 'three';
-import { getModelMeta, getModelRegistry } from './loaders.js';
+import { getModelMeta, getModelRegistry, uniformWorldScale } from './loaders.js';
+import { findNearestSocket } from './attach.js';
+import { canAttach, getCaptureRadius } from './socketsConfig.js';
+import { createSocketHighlighter } from './highlight.js';
+import { scaleForEntry } from './framing.js';
+import {
+  attachInstance,
+  detachInstance,
+  findInstanceForObject,
+  getInstance,
+  getInstances,
+  getInstanceSockets,
+  getStackedInstanceIds,
+  isSocketAvailable,
+  registerInstance,
+  removeInstance
+} from './placements.js';
+
+// Fallback capture zone (fraction of the base radius) for accessories without `influence.radius`.
+const SNAP_RADIUS_FACTOR = 0.15;
+// Pointer travel (px) before pressing a placed accessory turns into picking it up.
+const GRAB_THRESHOLD_PX = 8;
+// Smoothing for the two-finger flick speed estimate (0..1, higher follows the latest sample).
+const FLICK_SMOOTHING = 0.5;
 
 /**
- * Initialize drag-from-tray behavior.
+ * Initialize drag-from-tray and pick-up-from-sculpture behavior.
  * @param {{
  *   scene: import('three').Scene,
  *   camera: import('three').Camera,
@@ -12,8 +35,15 @@ import { getModelMeta, getModelRegistry } from './loaders.js';
  *   accessories: { name: string, size?: number }[],
  *   baseSize: number,
  *   baseRadius: number,
- *   baseModel?: import('three').Object3D
- * }} options
+ *   baseModel?: import('three').Object3D,
+ *   removal?: { longPressMs?: number, flickSpeed?: number },
+ *   history?: { begin: () => void, commit: (label: string) => void }
+ * }} options - `removal.longPressMs` is the hold time and `removal.flickSpeed` the two-finger
+ *   swipe speed (px/s) that send a placed accessory back to the tray; 0 disables either gesture.
+ *   `history` brackets each attach, move, and detach so it can be undone.
+ * @returns {{
+ *   setBase: (base: {baseModel: import('three').Object3D, baseSize: number, baseRadius: number}) => void
+ * } | undefined}
  */
 export function initDrag(options) {
   const {
@@ -22,25 +52,33 @@ export function initDrag(options) {
     renderer,
     interaction,
     accessories = [],
-    baseSize = 1,
-    baseRadius = 1,
-    baseModel
+    removal = {},
+    history
   } = options || {};
+  let { baseSize = 1, baseRadius = 1 } = options || {};
+  const { longPressMs = 700, flickSpeed = 1500 } = removal;
   const tray = document.getElementById('tray');
-  if (!tray || !scene || !camera || !renderer || !interaction) return;
+  if (!tray || !scene || !camera || !renderer || !interaction) return undefined;
 
   const accessoryMap = new Map(accessories.map((a) => [a.name, a]));
   const raycaster = new Raycaster();
   const pointer = new Vector2();
   let active = null;
-  const baseAnchor = computeBaseAnchor(baseModel);
+  let pending = null;
+  let flick = null;
+  let longPressTimer = null;
+  let baseAnchor = computeBaseAnchor(options?.baseModel);
+  const highlighter = createSocketHighlighter();
 
   tray.addEventListener('pointerdown', onPointerDown);
+  // Capture phase so grabbing a placed accessory wins over the window-level rotate handler.
+  window.addEventListener('pointerdown', onScenePointerDown, { capture: true });
   window.addEventListener('pointermove', onPointerMove);
   window.addEventListener('pointerup', onPointerUp);
   window.addEventListener('pointercancel', onPointerUp);
 
   function onPointerDown(event) {
+    if (active || pending) return;
     const target = event.target?.closest?.('[data-object-id]');
     if (!target) return;
     const objectId = target.dataset.objectId;
@@ -67,7 +105,9 @@ export function initDrag(options) {
       plane: makePlane(camera, baseAnchor),
       thumbEl: target,
       objectId,
-      scale: relativeScale(accessory, baseSize, baseRadius, registryEntry.radius),
+      instanceId: null,
+      pointerId: event.pointerId,
+      scale: scaleForEntry(accessory, baseSize, baseRadius, registryEntry.radius),
       startTime: null,
       returning: false
     };
@@ -75,29 +115,242 @@ export function initDrag(options) {
     if (active.scale != null) {
       clone.scale.setScalar(active.scale);
     }
+    history?.begin();
 
     updatePointerFromEvent(event);
     updateModelPosition();
+    showDropTargets();
+  }
+
+  function onScenePointerDown(event) {
+    if (startFlick(event)) return;
+    // Only the first finger may grab; later fingers belong to the rotate/zoom gestures.
+    if (active || pending || !event.isPrimary) return;
+    if (event.target?.closest?.('.panel')) return;
+
+    updatePointerFromEvent(event);
+    const instance = pickPlacedAccessory();
+    if (!instance) return;
+
+    event.preventDefault();
+    interaction.disable();
+    pending = {
+      instanceId: instance.instanceId,
+      pointerId: event.pointerId,
+      startX: event.clientX,
+      startY: event.clientY,
+      x: event.clientX,
+      y: event.clientY
+    };
+    if (longPressMs > 0) {
+      longPressTimer = setTimeout(removeHeldAccessory, longPressMs);
+    }
   }
 
   function onPointerMove(event) {
-    if (!active || active.returning) return;
+    trackFlick(event);
+    if (pending && event.pointerId === pending.pointerId) {
+      pending.x = event.clientX;
+      pending.y = event.clientY;
+      const moved = Math.hypot(event.clientX - pending.startX, event.clientY - pending.startY);
+      if (moved < GRAB_THRESHOLD_PX) return;
+      clearLongPress();
+      beginMove(pending.instanceId, event.pointerId);
+      pending = null;
+    }
+    if (!active || active.returning || event.pointerId !== active.pointerId) return;
     updatePointerFromEvent(event);
     updateModelPosition();
+    highlighter.emphasize(resolveDrop()?.socket);
   }
 
   function onPointerUp(event) {
-    if (!active) return;
-    active.returning = true;
+    if (endFlick(event)) return;
+    if (pending && event.pointerId === pending.pointerId) {
+      // A tap on an accessory without dragging leaves it in place.
+      clearLongPress();
+      pending = null;
+      interaction.enable();
+      return;
+    }
+    if (!active || active.returning || event.pointerId !== active.pointerId) return;
     updatePointerFromEvent(event);
+
+    const target = resolveDrop();
+    highlighter.hide();
+    if (target) {
+      const label = active.instanceId ? 'move' : 'attach';
+      const instanceId = active.instanceId ?? registerInstance(active.objectId, active.model).instanceId;
+      const attached = attachInstance(instanceId, target.socket.instanceId, target.socket.socketId, {
+        worldScale: active.scale ?? 1
+      });
+      if (!attached) {
+        // The socket filled up or the instance went away (e.g. the idle reset) during the drag.
+        active.instanceId = instanceId;
+        returnActiveToTray();
+        return;
+      }
+      active = null;
+      history?.commit(label);
+      interaction.enable();
+      return;
+    }
+
+    returnActiveToTray();
+  }
+
+  function returnActiveToTray() {
+    highlighter.hide();
+    active.returning = true;
     const targetPosition = worldPointFromElementCenter(active.thumbEl, active.plane);
     animateReturn(targetPosition, () => {
-      scene.remove(active.model);
+      if (active.instanceId) {
+        removeInstance(active.instanceId);
+      } else {
+        scene.remove(active.model);
+      }
       active = null;
+      history?.commit('detach');
       interaction.enable();
     });
   }
 
+  function beginMove(instanceId, pointerId) {
+    const instance = getInstance(instanceId);
+    if (!instance) {
+      interaction.enable();
+      return;
+    }
+
+    const scale = uniformWorldScale(instance.model);
+    history?.begin();
+    detachInstance(instanceId);
+    // Keep the world pose while lifting the accessory (and anything stacked on it) off its host.
+    scene.attach(instance.model);
+
+    active = {
+      model: instance.model,
+      plane: makePlane(camera, baseAnchor),
+      thumbEl: tray.querySelector(`[data-object-id="${instance.objectId}"]`) || tray,
+      objectId: instance.objectId,
+      instanceId,
+      pointerId,
+      scale,
+      startTime: null,
+      returning: false
+    };
+    updateModelPosition();
+    showDropTargets();
+  }
+
+  function removeHeldAccessory() {
+    clearLongPress();
+    flick = null;
+    if (pending) {
+      beginMove(pending.instanceId, pending.pointerId);
+      pending = null;
+    }
+    if (active?.instanceId && !active.returning) {
+      returnActiveToTray();
+    }
+  }
+
+  function clearLongPress() {
+    clearTimeout(longPressTimer);
+    longPressTimer = null;
+  }
+
+  function startFlick(event) {
+    // A second finger while an accessory is held starts a flick; the controller stays disabled,
+    // so the pair never reaches pinch zoom.
+    const held = pending ?? (active?.instanceId && !active.returning ? active : null);
+    if (!held || flick || flickSpeed <= 0 || event.pointerId === held.pointerId) return false;
+
+    event.preventDefault();
+    clearLongPress();
+    const pointers = new Map([
+      [held.pointerId, { x: held.x ?? event.clientX, y: held.y ?? event.clientY }],
+      [event.pointerId, { x: event.clientX, y: event.clientY }]
+    ]);
+    flick = {
+      pointers,
+      centroid: centroidOf(pointers),
+      time: event.timeStamp || performance.now(),
+      speed: 0
+    };
+    return true;
+  }
+
+  function trackFlick(event) {
+    if (active && event.pointerId === active.pointerId) {
+      active.x = event.clientX;
+      active.y = event.clientY;
+    }
+    if (!flick?.pointers.has(event.pointerId)) return;
+
+    flick.pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+    const centroid = centroidOf(flick.pointers);
+    const now = event.timeStamp || performance.now();
+    const dtSeconds = Math.max(now - flick.time, 1) / 1000;
+    const sample = Math.hypot(centroid.x - flick.centroid.x, centroid.y - flick.centroid.y) / dtSeconds;
+    flick.speed = flick.speed + (sample - flick.speed) * FLICK_SMOOTHING;
+    flick.centroid = centroid;
+    flick.time = now;
+  }
+
+  function endFlick(event) {
+    if (!flick?.pointers.has(event.pointerId)) return false;
+    const flicked = flick.speed >= flickSpeed;
+    const heldPointerId = pending?.pointerId ?? active?.pointerId;
+    flick = null;
+    if (flicked) {
+      removeHeldAccessory();
+      return true;
+    }
+    // A slow second finger is ignored; lifting the holding finger still ends the hold normally.
+    return event.pointerId !== heldPointerId;
+  }
+
+  function pickPlacedAccessory() {
+    const targets = getInstances().map((instance) => instance.model);
+    if (targets.length === 0) return undefined;
+    raycaster.setFromCamera(pointer, camera);
+    const [hit] = raycaster.intersectObjects(targets, true);
+    if (!hit) return undefined;
+    // The nearest surface decides: a hit on the base (or anything unplaced) means rotate.
+    const instance = findInstanceForObject(hit.object);
+    return instance?.hostInstanceId ? instance : undefined;
+  }
+
+  function resolveDrop() {
+    raycaster.setFromCamera(pointer, camera);
+    return findNearestSocket(raycaster.ray, getInstanceSockets(), dropCriteria());
+  }
+
+  function showDropTargets() {
+    const { maxDistance, filter } = dropCriteria();
+    highlighter.show(getInstanceSockets().filter(filter), maxDistance);
+    highlighter.emphasize(resolveDrop()?.socket);
+  }
+
+  function dropCriteria() {
+    const { objectId } = active;
+    const influence = getCaptureRadius(objectId);
+    const fallback = (baseAnchor?.radius ?? 1) * SNAP_RADIUS_FACTOR;
+    // A moved accessory must not land on itself or on anything stacked on it.
+    const excluded = new Set(active.instanceId ? getStackedInstanceIds(active.instanceId) : []);
+    return {
+      maxDistance: (socket) =>
+        influence != null
+          ? influence * uniformWorldScale(getInstance(socket.instanceId)?.model)
+          : fallback,
+      filter: (socket) =>
+        !excluded.has(socket.instanceId) &&
+        isSocketAvailable(socket) &&
+        canAttach(objectId, socket.objectId, socket.socketId)
+    };
+  }
+
   function updatePointerFromEvent(event) {
     const rect = renderer.domElement.getBoundingClientRect();
     pointer.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
@@ -172,20 +425,24 @@ export function initDrag(options) {
     }
     return raycaster.ray.origin.clone().add(raycaster.ray.direction.clone().multiplyScalar(2));
   }
+
+  function setBase(next) {
+    baseAnchor = computeBaseAnchor(next.baseModel);
+    baseSize = next.baseSize ?? baseSize;
+    baseRadius = next.baseRadius ?? baseRadius;
+  }
+
+  return { setBase };
 }
 
-function relativeScale(entry, baseSize, baseRadius, accessoryRadius) {
-  if (!entry || entry.objClass !== 'accessory') return undefined;
-  const base = Number.isFinite(baseSize) && baseSize > 0 ? baseSize : 1;
-  const size = Number.isFinite(entry.size) ? entry.size : null;
-  if (size === null) return undefined;
-  const relative = size / base;
-  const radiusRatio =
-    Number.isFinite(baseRadius) && Number.isFinite(accessoryRadius) && accessoryRadius > 0
-      ? baseRadius / accessoryRadius
-      : 1;
-  const finalScale = relative * radiusRatio;
-  return Number.isFinite(finalScale) && finalScale > 0 ? finalScale : undefined;
+function centroidOf(pointers) {
+  let x = 0;
+  let y = 0;
+  pointers.forEach((point) => {
+    x += point.x;
+    y += point.y;
+  });
+  return { x: x / pointers.size, y: y / pointers.size };
 }
 
 function computeBaseAnchor(baseModel) {
@@ -0,0 +1,53 @@
+/** @file Export the displayed base and its placed accessories as a single GLB. */
+import { GLTFExporter } from 'three/examples/jsm/exporters/GLTFExporter.js';
+import { getInstances } from './placements.js';
+import { addTrayControl } from './controls.js';
+
+/**
+ * Export the base with every attached accessory instance. Accessories are children of the socket
+ * empties they sit on, so their socket-relative transforms are baked into the node hierarchy.
+ * Only the base subtree is exported, which leaves out the hidden preloaded templates.
+ * @param {import('three').Object3D} baseModel - Displayed base.
+ * @param {{rotation?: number[]}} [options] - Root orientation to export with (Euler radians);
+ *   defaults to upright, ignoring whatever spin the visitor left it in.
+ * @returns {Promise<Blob>}
+ */
+export async function exportCompositionGlb(baseModel, { rotation = [0, 0, 0] } = {}) {
+  const root = baseModel.clone(true);
+  root.rotation.set(rotation[0] ?? 0, rotation[1] ?? 0, rotation[2] ?? 0);
+  root.visible = true;
+
+  // Give placed instances readable node names in the exported file.
+  const placed = new Set(getInstances().map((instance) => instance.instanceId));
+  root.traverse((node) => {
+    const instanceId = node.userData?.instanceId;
+    if (placed.has(instanceId)) node.name = instanceId.replace('#', '_');
+  });
+
+  const exporter = new GLTFExporter();
+  const result = await exporter.parseAsync(root, { binary: true, onlyVisible: true });
+  return new Blob([result], { type: 'model/gltf-binary' });
+}
+
+/**
+ * Add a tray control that downloads the composition as a GLB.
+ * @param {{onExport: () => Promise<void>}} config
+ */
+export function initExportControl({ onExport } = {}) {
+  if (!onExport) return;
+  const button = addTrayControl({
+    action: 'export',
+    glyph: '⬇',
+    label: 'Export 3D model',
+    onPress: async () => {
+      button.disabled = true;
+      try {
+        await onExport();
+      } catch (error) {
+        console.warn(`WARNING: GLB export failed: ${error?.message || error}`);
+      } finally {
+        button.disabled = false;
+      }
+    }
+  });
+}
@@ -0,0 +1,80 @@
+/** @file Camera framing and relative sizing helpers shared by base and accessory setup. */
+import { Box3, MathUtils, Sphere, Vector3 } from 'three';
+
+/**
+ * Fit the camera distance so the model bounds are in view for the current aspect.
+ * @param {import('three').Camera} camera
+ * @param {import('three').Object3D} model
+ * @param {{padding?: number, portraitScale?: number}} options
+ * @returns {number} distance used
+ */
+export function fitCameraToModel(camera, model, options = {}) {
+  const padding = options.padding ?? 1.0;
+  const portraitScale = options.portraitScale ?? 1.0;
+
+  const box = new Box3().setFromObject(model);
+  const sphere = new Sphere();
+  box.getBoundingSphere(sphere);
+  const aspect = camera.aspect || 1;
+  const aspectScale = aspect < 1 ? portraitScale : 1;
+  const radius = sphere.radius * padding * aspectScale;
+  if (!isFinite(radius) || radius <= 0) {
+    return camera.position.z;
+  }
+
+  const vFov = MathUtils.degToRad(camera.fov);
+  const hFov = 2 * Math.atan(Math.tan(vFov / 2) * camera.aspect);
+  const distV = radius / Math.tan(vFov / 2);
+  const distH = radius / Math.tan(hFov / 2);
+  const distance = Math.max(distV, distH);
+
+  const center = new Vector3();
+  box.getCenter(center);
+  camera.position.set(center.x, center.y, center.z + distance);
+  camera.lookAt(center);
+
+  return distance;
+}
+
+/**
+ * Scale zoom limits relative to a fitted camera distance so aspect changes feel consistent.
+ * @param {Object} interaction
+ * @param {number} baseDistance
+ * @param {number} fitDistance
+ * @returns {Object}
+ */
+export function scaleZoomRange(interaction, baseDistance, fitDistance) {
+  if (!baseDistance || !fitDistance || !isFinite(baseDistance) || !isFinite(fitDistance)) {
+    return interaction;
+  }
+  const scale = fitDistance / baseDistance;
+  if (!isFinite(scale) || scale <= 0) return interaction;
+
+  const next = { ...interaction };
+  if (interaction.minZoom != null) next.minZoom = interaction.minZoom * scale;
+  if (interaction.maxZoom != null) next.maxZoom = interaction.maxZoom * scale;
+
+  return next;
+}
+
+/**
+ * Uniform scale for an accessory so its size is relative to the displayed base.
+ * @param {Object} entry - Accessory config entry (uses `objClass` and `size`).
+ * @param {number} baseSize - Configured `size` of the displayed base.
+ * @param {number} baseRadius - Bounding radius of the displayed base model.
+ * @param {number} [accessoryRadius] - Bounding radius of the unscaled accessory model.
+ * @returns {number | undefined} scale, or undefined when the entry does not define a size
+ */
+export function scaleForEntry(entry, baseSize, baseRadius, accessoryRadius) {
+  if (!entry || entry.objClass !== 'accessory') return undefined;
+  const base = Number.isFinite(baseSize) && baseSize > 0 ? baseSize : 1;
+  const size = Number.isFinite(entry.size) ? entry.size : null;
+  if (size === null) return undefined;
+  const relativeScale = size / base;
+  const radiusRatio =
+    Number.isFinite(baseRadius) && Number.isFinite(accessoryRadius) && accessoryRadius > 0
+      ? baseRadius / accessoryRadius
+      : 1;
+  const finalScale = relativeScale * radiusRatio;
+  return Number.isFinite(finalScale) && finalScale > 0 ? finalScale : undefined;
+}
@@ -0,0 +1,85 @@
+/** @file Glowing markers on candidate sockets while an accessory is being dragged. */
+import { AdditiveBlending, Mesh, MeshBasicMaterial, SphereGeometry, Vector3 } from 'three';
+
+const MARKER_COLOR = '#66ccff';
+const MARKER_OPACITY = 0.35;
+const EMPHASIS_COLOR = '#ffffff';
+const EMPHASIS_OPACITY = 0.8;
+const EMPHASIS_SCALE = 1.6;
+
+/**
+ * Create a highlighter that shows one halo per valid socket. Markers are parented to the socket
+ * nodes so they follow the sculpture while it coasts.
+ * @returns {{
+ *   show: (sockets: {threeJsNode: import('three').Object3D}[], radiusFor: (socket: any) => number) => void,
+ *   emphasize: (socket: {threeJsNode: import('three').Object3D} | null | undefined) => void,
+ *   hide: () => void,
+ *   dispose: () => void
+ * }}
+ */
+export function createSocketHighlighter() {
+  const geometry = new SphereGeometry(1, 16, 12);
+  const markers = new Map();
+  let emphasized = null;
+
+  function show(sockets, radiusFor) {
+    hide();
+    const worldScale = new Vector3();
+    sockets.forEach((socket) => {
+      const node = socket.threeJsNode;
+      if (!node) return;
+      const material = new MeshBasicMaterial({
+        color: MARKER_COLOR,
+        transparent: true,
+        opacity: MARKER_OPACITY,
+        blending: AdditiveBlending,
+        depthTest: false,
+        depthWrite: false
+      });
+      const marker = new Mesh(geometry, material);
+      marker.name = 'highlight_marker';
+      marker.renderOrder = 2;
+      // Markers must never be picked as part of the model they sit on.
+      marker.raycast = () => {};
+
+      node.getWorldScale(worldScale);
+      const nodeScale = Math.max(Math.abs(worldScale.x), Math.abs(worldScale.y), Math.abs(worldScale.z)) || 1;
+      const baseScale = Math.max(radiusFor(socket) * 0.5, 1e-3) / nodeScale;
+      marker.scale.setScalar(baseScale);
+      marker.userData.baseScale = baseScale;
+
+      node.add(marker);
+      markers.set(node, marker);
+    });
+  }
+
+  function emphasize(socket) {
+    const next = socket ? markers.get(socket.threeJsNode) ?? null : null;
+    if (next === emphasized) return;
+    if (emphasized) styleMarker(emphasized, false);
+    if (next) styleMarker(next, true);
+    emphasized = next;
+  }
+
+  function hide() {
+    markers.forEach((marker) => {
+      marker.removeFromParent();
+      marker.material.dispose();
+    });
+    markers.clear();
+    emphasized = null;
+  }
+
+  function dispose() {
+    hide();
+    geometry.dispose();
+  }
+
+  return { show, emphasize, hide, dispose };
+}
+
+function styleMarker(marker, strong) {
+  marker.material.color.set(strong ? EMPHASIS_COLOR : MARKER_COLOR);
+  marker.material.opacity = strong ? EMPHASIS_OPACITY : MARKER_OPACITY;
+  marker.scale.setScalar(marker.userData.baseScale * (strong ? EMPHASIS_SCALE : 1));
+}
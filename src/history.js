@@ -0,0 +1,133 @@
+/** @file Bounded undo/redo history for placement actions, plus its tray buttons. */
+import { addTrayControl } from './controls.js';
+
+const DEFAULT_MAX_SIZE = 30;
+
+/**
+ * Create a command history. Each recorded command holds the composition before and after an
+ * action; undo and redo re-apply one of those snapshots.
+ * @param {{
+ *   capture: () => any,
+ *   apply: (state: any) => Promise<unknown> | void,
+ *   isBusy?: () => boolean,
+ *   maxSize?: number
+ * }} options - `capture` snapshots the scene, `apply` rebuilds it from a snapshot. Undo and redo
+ *   are ignored while an action is between begin() and commit() or while `isBusy` returns true.
+ * @returns {{
+ *   begin: () => void,
+ *   commit: (label: string) => void,
+ *   undo: () => Promise<boolean>,
+ *   redo: () => Promise<boolean>,
+ *   clear: () => void,
+ *   canUndo: () => boolean,
+ *   canRedo: () => boolean,
+ *   onChange: (listener: () => void) => () => void
+ * }}
+ */
+export function createHistory({ capture, apply, isBusy = () => false, maxSize = DEFAULT_MAX_SIZE }) {
+  const limit = Number.isInteger(maxSize) && maxSize > 0 ? maxSize : DEFAULT_MAX_SIZE;
+  const undoStack = [];
+  const redoStack = [];
+  const listeners = new Set();
+  let pendingBefore = null;
+  let applying = false;
+
+  function begin() {
+    if (applying) return;
+    pendingBefore = capture();
+  }
+
+  function commit(label) {
+    if (applying || pendingBefore == null) return;
+    const before = pendingBefore;
+    const after = capture();
+    pendingBefore = null;
+    // Actions that end where they started (e.g. a drag returned to the tray) are not recorded.
+    if (JSON.stringify(before) === JSON.stringify(after)) return;
+
+    undoStack.push(makeCommand(label, before, after));
+    if (undoStack.length > limit) undoStack.shift();
+    redoStack.length = 0;
+    notify();
+  }
+
+  async function undo() {
+    return step(undoStack, redoStack, 'undo');
+  }
+
+  async function redo() {
+    return step(redoStack, undoStack, 'redo');
+  }
+
+  async function step(from, to, direction) {
+    // Restoring under an action in progress (e.g. a drag) would leave it a stale `before`.
+    if (applying || pendingBefore != null || isBusy() || from.length === 0) return false;
+    const command = from.pop();
+    applying = true;
+    try {
+      await command[direction]();
+    } catch (error) {
+      console.warn(`WARNING: Could not ${direction} "${command.label}": ${error?.message || error}`);
+      from.push(command);
+      return false;
+    } finally {
+      applying = false;
+    }
+    to.push(command);
+    notify();
+    return true;
+  }
+
+  function makeCommand(label, before, after) {
+    return {
+      label,
+      undo: () => apply(before),
+      redo: () => apply(after)
+    };
+  }
+
+  function clear() {
+    undoStack.length = 0;
+    redoStack.length = 0;
+    pendingBefore = null;
+    notify();
+  }
+
+  function onChange(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+
+  function notify() {
+    listeners.forEach((listener) => listener());
+  }
+
+  return {
+    begin,
+    commit,
+    undo,
+    redo,
+    clear,
+    canUndo: () => undoStack.length > 0,
+    canRedo: () => redoStack.length > 0,
+    onChange
+  };
+}
+
+/**
+ * Render undo/redo buttons in the tray area and keep their enabled state in sync.
+ * @param {{history: ReturnType<typeof createHistory>}} config
+ */
+export function initHistoryControls({ history } = {}) {
+  if (!history) return;
+  const undoButton = addTrayControl({ action: 'undo', glyph: '↶', label: 'Undo', onPress: history.undo });
+  const redoButton = addTrayControl({ action: 'redo', glyph: '↷', label: 'Redo', onPress: history.redo });
+  if (!undoButton || !redoButton) return;
+
+  function sync() {
+    undoButton.disabled = !history.canUndo();
+    redoButton.disabled = !history.canRedo();
+  }
+  history.onChange(sync);
+  sync();
+}
@@ -0,0 +1,158 @@
+/** @file Kiosk idle timer: resets the scene and runs an attract loop when nobody is interacting. */
+import { getInstance, getInstances, placeAccessory, removeInstance } from './placements.js';
+import { canAttach } from './socketsConfig.js';
+
+const INPUT_EVENTS = ['pointerdown', 'pointermove', 'wheel', 'keydown'];
+
+/**
+ * Start watching for inactivity. After `timeout` seconds without input the placed accessories
+ * shrink away, the view eases back to its home orientation and zoom, and the sculpture spins
+ * slowly while optional demo placements cycle on it. The next input removes the demo placements.
+ * @param {{
+ *   interaction: { resetView: (options?: {duration?: number}) => Promise<void>, startIdleSpin: () => void },
+ *   getBaseModel: () => import('three').Object3D,
+ *   onReset?: () => void,
+ *   config?: {
+ *     timeout?: number,
+ *     resetDuration?: number,
+ *     demoInterval?: number,
+ *     demoPlacements?: {accessory: string, socket: string}[]
+ *   }
+ * }} options - Times are in seconds; a `timeout` of 0 disables idle mode. `onReset` runs once the
+ *   visitor's accessories have been cleared.
+ * @returns {{isIdle: () => boolean, dispose: () => void}}
+ */
+export function createIdleMode({ interaction, getBaseModel, onReset, config = {} }) {
+  const { timeout = 90, resetDuration = 1.5, demoInterval = 6, demoPlacements = [] } = config;
+  let idle = false;
+  let idleTimer = null;
+  let demoTimer = null;
+  let demoIndex = 0;
+  // Demo instances are removed on wake so the next visitor starts from a bare sculpture.
+  let demoInstanceIds = [];
+
+  if (!(timeout > 0)) {
+    return { isIdle: () => false, dispose() {} };
+  }
+
+  INPUT_EVENTS.forEach((type) => window.addEventListener(type, onInput, { capture: true, passive: true }));
+  scheduleIdle();
+
+  function onInput() {
+    if (idle) wake();
+    scheduleIdle();
+  }
+
+  function scheduleIdle() {
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(enterAttract, timeout * 1000);
+  }
+
+  async function enterAttract() {
+    idle = true;
+    await stripAccessories(resetDuration / 2);
+    // A visitor who came back during the strip keeps their history and view.
+    if (!idle) return;
+    onReset?.();
+    await interaction.resetView({ duration: resetDuration });
+    if (!idle) return;
+    interaction.startIdleSpin();
+    scheduleDemo();
+  }
+
+  function wake() {
+    idle = false;
+    clearTimeout(demoTimer);
+    demoTimer = null;
+    demoIndex = 0;
+    demoInstanceIds.forEach(removeInstance);
+    demoInstanceIds = [];
+  }
+
+  function scheduleDemo() {
+    if (demoPlacements.length === 0 || !(demoInterval > 0)) return;
+    demoTimer = setTimeout(async () => {
+      if (!idle) return;
+      if (demoIndex >= demoPlacements.length) {
+        // Start the cycle over from a bare sculpture.
+        demoIndex = 0;
+        await stripAccessories(resetDuration / 2);
+        demoInstanceIds = [];
+      } else {
+        placeDemo(demoPlacements[demoIndex]);
+        demoIndex += 1;
+      }
+      if (idle) scheduleDemo();
+    }, demoInterval * 1000);
+  }
+
+  function placeDemo({ accessory, socket } = {}) {
+    const host = baseInstance();
+    if (!host || !accessory || !socket) return;
+    const instance = canAttach(accessory, host.objectId, socket)
+      ? placeAccessory(accessory, host.instanceId, socket)
+      : null;
+    if (!instance) {
+      console.warn(`WARNING: Demo placement "${accessory}" on ${socket} is not available.`);
+      return;
+    }
+    demoInstanceIds.push(instance.instanceId);
+  }
+
+  function baseInstance() {
+    const model = getBaseModel();
+    return getInstances().find((instance) => instance.model === model);
+  }
+
+  function stripAccessories(duration) {
+    const host = baseInstance();
+    const placed = getInstances().filter((instance) => host && instance.hostInstanceId === host.instanceId);
+    return Promise.all(
+      placed.map(async (instance) => {
+        // Input wakes idle mode; an accessory picked up or moved meanwhile is left to the visitor.
+        const stillStripping = () =>
+          idle && getInstance(instance.instanceId)?.hostInstanceId === host.instanceId;
+        if (await shrink(instance.model, duration, stillStripping)) {
+          removeInstance(instance.instanceId);
+        }
+      })
+    );
+  }
+
+  function dispose() {
+    clearTimeout(idleTimer);
+    wake();
+    INPUT_EVENTS.forEach((type) => window.removeEventListener(type, onInput, { capture: true }));
+  }
+
+  return { isIdle: () => idle, dispose };
+}
+
+/**
+ * Scale a model down to nothing.
+ * @param {import('three').Object3D} model
+ * @param {number} duration - Seconds.
+ * @param {() => boolean} proceed - Checked every frame; once false the scale is restored.
+ * @returns {Promise<boolean>} true when the model shrank all the way
+ */
+function shrink(model, duration, proceed) {
+  const from = model.scale.clone();
+  const start = performance.now();
+  return new Promise((resolve) => {
+    function step(now) {
+      if (!proceed()) {
+        model.scale.copy(from);
+        resolve(false);
+        return;
+      }
+      const t = duration > 0 ? Math.min(1, (now - start) / (duration * 1000)) : 1;
+      model.scale.copy(from).multiplyScalar(1 - t * t);
+      if (t < 1) {
+        requestAnimationFrame(step);
+      } else {
+        resolve(true);
+      }
+    }
+    requestAnimationFrame(step);
+  });
+}
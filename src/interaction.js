@@ -1,4 +1,36 @@
 /** @file Basic interaction controller for model rotation and zoom (stubs for future features). */
+import { Quaternion, Vector3 } from 'three';
+
+const DEFAULT_PARAMS = {
+  spinAcceleration: 2.0,
+  spinFriction: 0.3,
+  idleSpinImpulse: 0.2,
+  zoomSpeed: 0.002,
+  pinchZoomMultiplier: 4,
+  xAxisMultiplier: 0.6,
+  yAxisMultiplier: 1.0,
+  minAngularSpeed: 0.0,
+  initialYawSpin: 0.0,
+  uprightStrength: 0.0,
+  uprightThreshold: 0.0,
+  minZoom: 2,
+  maxZoom: 12,
+  // 'euler' adds drags to rotation.x/y; 'trackball' turns about the screen's axes with quaternions;
+  // 'turntable' only yaws.
+  rotationMode: 'euler',
+  // Pitch limits in radians (positive tips the top toward the viewer); unlimited by default.
+  minPitch: -Infinity,
+  maxPitch: Infinity
+};
+
+// Past a pitch limit, drags meet this much give (radians of overshoot that halve the response).
+const PITCH_RUBBER_BAND = 0.15;
+// Spring-back rate toward a pitch limit once released (1/s; higher returns faster).
+const PITCH_SPRING_RATE = 6;
+
+const SCREEN_UP = new Vector3(0, 1, 0);
+const SCREEN_RIGHT = new Vector3(1, 0, 0);
+const SCREEN_FORWARD = new Vector3(0, 0, 1);
 
 /**
  * Create an interaction controller for a model.
@@ -19,9 +51,32 @@
  * @param {number} [interactionConfig.initialYawSpin]
  * @param {number} [interactionConfig.uprightStrength]
  * @param {number} [interactionConfig.uprightThreshold]
+ * @param {'euler' | 'trackball' | 'turntable'} [interactionConfig.rotationMode='euler']
+ * @param {number} [interactionConfig.minPitch] - Radians; unlimited when omitted.
+ * @param {number} [interactionConfig.maxPitch] - Radians; unlimited when omitted.
  * @param {Object} [debugConfig]
  * @param {boolean} [debugConfig.interactions=false]
- * @returns {{update: (delta: number) => void, dispose: () => void}}
+ * @returns {{
+ *   update: (delta: number) => void,
+ *   dispose: () => void,
+ *   enable: () => void,
+ *   disable: () => void,
+ *   isEnabled: () => boolean,
+ *   setModel: (nextModel: import('three').Object3D, zoomRange?: {minZoom?: number, maxZoom?: number}) => void,
+ *   getConfig: () => Record<string, number | string>,
+ *   setConfig: (nextConfig: Object, options?: {replace?: boolean}) => void,
+ *   getOrientation: () => import('three').Quaternion,
+ *   setOrientation: (
+ *     orientation: import('three').Quaternion | import('three').Euler | number[],
+ *     options?: {duration?: number}
+ *   ) => Promise<void>,
+ *   getZoom: () => number,
+ *   setZoom: (distance: number, options?: {duration?: number}) => Promise<void>,
+ *   getVelocity: () => {yaw: number, pitch: number},
+ *   resetView: (options?: {duration?: number}) => Promise<void>,
+ *   startIdleSpin: () => void
+ * }} View setters stop any spin and resolve once the view arrives or pointer input interrupts it;
+ *   velocity is in rad/s (yaw about Y, pitch about X).
  */
 export function createInteractionController(
   model,
@@ -30,21 +85,9 @@ export function createInteractionController(
   interactionConfig = {},
   debugConfig = {}
 ) {
-  const {
-    spinAcceleration = 2.0,
-    spinFriction = 0.3,
-    idleSpinImpulse = 0.2,
-    minZoom = 2,
-    maxZoom = 12,
-    zoomSpeed = 0.002,
-    pinchZoomMultiplier = 4,
-    xAxisMultiplier = 0.6,
-    yAxisMultiplier = 1.0,
-    minAngularSpeed = 0.0,
-    initialYawSpin = 0.0,
-    uprightStrength = 0.0,
-    uprightThreshold = 0.0
-  } = interactionConfig;
+  // Live tuning values; setConfig() updates them while the controller runs.
+  const params = { ...DEFAULT_PARAMS };
+  assignDefined(params, interactionConfig);
   const { interactions: debugInteractions = false } = debugConfig;
 
   const debugLog = (...args) => {
@@ -63,19 +106,30 @@ export function createInteractionController(
   let velocityX = 0;
   let velocityY = 0;
   let coasting = true;
+  let springing = false;
   let zoomDistance = camera.position.z;
   let pinchStartDistance = 0;
   const activePointers = new Map();
+  // Home view restored by resetView(); captured now and again whenever the model is rebound.
+  let homeQuaternion = model.quaternion.clone();
+  let homeZoom = zoomDistance;
+  // Scratch objects for trackball rotation, reused every frame.
+  const axis = new Vector3();
+  const step = new Quaternion();
+  const viewUp = new Vector3();
+  // Programmatic view animation (setOrientation, setZoom, resetView); pointer input cancels it.
+  let transition = null;
 
   // Idle spin: give a gentle initial impulse
-  velocityX = idleSpinImpulse;
+  velocityX = params.idleSpinImpulse;
   // Add optional initial yaw spin that follows the same friction rules
-  velocityX += initialYawSpin;
+  velocityX += params.initialYawSpin;
   debugLog('idle spin impulse applied', { velocityX });
 
   function onPointerDown(event) {
     if (!enabled) return;
     if (event.cancelable) event.preventDefault();
+    endTransition();
     activePointers.set(event.pointerId, {
       clientX: event.clientX,
       clientY: event.clientY
@@ -115,8 +169,8 @@ export function createInteractionController(
       const distDelta = pinchDist - pinchStartDistance;
       pinchStartDistance = pinchDist;
 
-      const zoomDelta = -distDelta * (zoomSpeed * pinchZoomMultiplier);
-      zoomDistance = clamp(zoomDistance + zoomDelta, minZoom, maxZoom);
+      const zoomDelta = -distDelta * (params.zoomSpeed * params.pinchZoomMultiplier);
+      zoomDistance = clamp(zoomDistance + zoomDelta, params.minZoom, params.maxZoom);
       camera.position.set(camera.position.x, camera.position.y, zoomDistance);
       debugLog('pinch', { distDelta, zoomDistance });
       return;
@@ -129,13 +183,13 @@ export function createInteractionController(
     lastX = points[0].clientX;
     lastY = points[0].clientY;
 
-    const accel = spinAcceleration * 0.002;
-    const rotY = dx * accel * yAxisMultiplier;
-    const rotX = dy * accel * xAxisMultiplier;
+    const accel = params.spinAcceleration * 0.002;
+    const rotY = dx * accel * params.yAxisMultiplier;
+    const rotX =
+      params.rotationMode === 'turntable' ? 0 : resistPitch(dy * accel * params.xAxisMultiplier);
 
     // Immediate rotation feedback while dragging
-    model.rotation.y += rotY;
-    model.rotation.x += rotX;
+    rotateBy(rotY, rotX);
 
     // Set angular velocity for inertial spin after release
     const safeDt = Math.max(dtSeconds, 0.001);
@@ -159,7 +213,7 @@ export function createInteractionController(
       isDragging = false;
       pinchStartDistance = 0;
     }
-    const minSpeed = Math.max(minAngularSpeed, 0);
+    const minSpeed = Math.max(params.minAngularSpeed, 0);
     const speedMag = Math.max(Math.abs(velocityX), Math.abs(velocityY));
     coasting = speedMag >= minSpeed;
     if (!coasting) {
@@ -173,9 +227,9 @@ export function createInteractionController(
     if (!enabled) return;
     event.preventDefault();
     const isPinchLike = event.ctrlKey === true || event.deltaMode === 1;
-    const effectiveSpeed = isPinchLike ? zoomSpeed * pinchZoomMultiplier : zoomSpeed;
+    const effectiveSpeed = isPinchLike ? params.zoomSpeed * params.pinchZoomMultiplier : params.zoomSpeed;
     const zoomDelta = event.deltaY * effectiveSpeed;
-    zoomDistance = clamp(zoomDistance + zoomDelta, minZoom, maxZoom);
+    zoomDistance = clamp(zoomDistance + zoomDelta, params.minZoom, params.maxZoom);
     camera.position.set(camera.position.x, camera.position.y, zoomDistance);
     debugLog('wheel', { deltaY: event.deltaY, zoomDistance, isPinchLike, effectiveSpeed });
   }
@@ -195,13 +249,17 @@ export function createInteractionController(
   debugLog('listeners attached');
 
   function update(delta) {
+    if (transition) {
+      stepTransition(delta);
+      return;
+    }
+
     // Apply angular velocity to model (yaw/pitch)
-    model.rotation.y += velocityX * delta;
-    model.rotation.x += velocityY * delta;
-    // Lock roll; no changes to model.rotation.z
+    rotateBy(velocityX * delta, velocityY * delta);
+    // Euler mode locks roll (rotation.z never changes); trackball mode settles it while righting
 
     // Apply friction to angular velocity
-    const frictionClamped = clamp(spinFriction, 0, 1);
+    const frictionClamped = clamp(params.spinFriction, 0, 1);
     // Frame-rate–independent damping: friction applied per second
     const damping = Math.pow(1 - frictionClamped, delta); // friction=1 -> stop, friction=0 -> never stop
     velocityX *= damping;
@@ -209,16 +267,17 @@ export function createInteractionController(
 
     // Gentle self-righting near the floor while coasting
     const speedMag = Math.max(Math.abs(velocityX), Math.abs(velocityY));
-    const minSpeed = Math.max(minAngularSpeed, 0);
-    const uprightKickIn = Math.max(uprightThreshold, minSpeed);
-    const uprightActive = coasting && uprightStrength > 0 && speedMag <= uprightKickIn;
+    const minSpeed = Math.max(params.minAngularSpeed, 0);
+    const uprightKickIn = Math.max(params.uprightThreshold, minSpeed);
+    const uprightActive = coasting && params.uprightStrength > 0 && speedMag <= uprightKickIn;
     if (uprightActive) {
-      const uprightDamping = Math.exp(-uprightStrength * delta);
+      const uprightDamping = Math.exp(-params.uprightStrength * delta);
       velocityY *= uprightDamping;
-      const angleX = normalizeAngle(model.rotation.x);
-      const correction = -angleX * uprightStrength * delta;
+      const angleX = currentPitch();
+      const correction = -angleX * params.uprightStrength * delta;
       velocityY += correction;
       if (Math.abs(velocityY) < 1e-5) velocityY = 0;
+      settleRoll(delta);
     }
 
     // Clamp to minimum angular speed while coasting; allow user to stop below the floor
@@ -234,6 +293,75 @@ export function createInteractionController(
       if (Math.abs(velocityX) < minSpeed) velocityX = 0;
       if (Math.abs(velocityY) < minSpeed) velocityY = 0;
     }
+
+    springBackPitch();
+  }
+
+  function pitchOvershoot() {
+    const pitch = currentPitch();
+    return pitch - clamp(pitch, params.minPitch, params.maxPitch);
+  }
+
+  function resistPitch(rotX) {
+    // Rubber band: moves that push further past a limit shrink the further out the model is.
+    const overshoot = pitchOvershoot();
+    if (overshoot === 0 || Math.sign(rotX) !== Math.sign(overshoot)) return rotX;
+    return rotX / (1 + Math.abs(overshoot) / PITCH_RUBBER_BAND);
+  }
+
+  function springBackPitch() {
+    // Past a limit and not held: pitch heads back at a speed proportional to the overshoot, which
+    // replaces any coasting pitch so the model settles on the limit instead of bouncing off it.
+    if (isDragging) return;
+    const overshoot = pitchOvershoot();
+    if (overshoot !== 0) {
+      velocityY = -overshoot * PITCH_SPRING_RATE;
+      springing = true;
+    } else if (springing) {
+      velocityY = 0;
+      springing = false;
+    }
+  }
+
+  function rotateBy(yaw, pitch) {
+    if (params.rotationMode !== 'trackball') {
+      model.rotation.y += yaw;
+      model.rotation.x += pitch;
+      return;
+    }
+    // Turn about the camera's up and right axes in world space, whatever the model's tilt.
+    model.quaternion.premultiply(
+      step.setFromAxisAngle(axis.copy(SCREEN_UP).applyQuaternion(camera.quaternion), yaw)
+    );
+    model.quaternion.premultiply(
+      step.setFromAxisAngle(axis.copy(SCREEN_RIGHT).applyQuaternion(camera.quaternion), pitch)
+    );
+  }
+
+  function modelUpInView() {
+    // The model's up vector in camera space: +y is upright, +z leans toward the viewer.
+    return viewUp
+      .copy(SCREEN_UP)
+      .applyQuaternion(model.quaternion)
+      .applyQuaternion(step.copy(camera.quaternion).invert());
+  }
+
+  function currentPitch() {
+    if (params.rotationMode !== 'trackball') return normalizeAngle(model.rotation.x);
+    const up = modelUpInView();
+    return Math.atan2(up.z, up.y);
+  }
+
+  function settleRoll(delta) {
+    // Trackball drags can leave the model leaning sideways, which pitch velocity cannot undo;
+    // ease that lean out about the view axis at the same strength.
+    if (params.rotationMode !== 'trackball') return;
+    const up = modelUpInView();
+    const roll = Math.atan2(-up.x, up.y);
+    const angle = -roll * Math.min(params.uprightStrength * delta, 1);
+    model.quaternion.premultiply(
+      step.setFromAxisAngle(axis.copy(SCREEN_FORWARD).applyQuaternion(camera.quaternion), angle)
+    );
   }
 
   function dispose() {
@@ -253,7 +381,154 @@ export function createInteractionController(
     enabled = true;
   }
 
-  return { update, dispose, enable, disable };
+  function setModel(nextModel, zoomRange = {}) {
+    // Rebind to a new model (e.g. after a base switch) and pick up its fitted camera distance.
+    model = nextModel;
+    if (zoomRange.minZoom != null) params.minZoom = zoomRange.minZoom;
+    if (zoomRange.maxZoom != null) params.maxZoom = zoomRange.maxZoom;
+    zoomDistance = clamp(camera.position.z, params.minZoom, params.maxZoom);
+    homeQuaternion = model.quaternion.clone();
+    homeZoom = zoomDistance;
+    endTransition();
+    velocityX = 0;
+    velocityY = 0;
+    isDragging = false;
+    activePointers.clear();
+  }
+
+  function resetView({ duration = 1 } = {}) {
+    // Ease back to the home orientation and zoom.
+    debugLog('reset view', { duration });
+    return animateView({ quaternion: homeQuaternion, zoom: homeZoom, duration });
+  }
+
+  function setOrientation(orientation, { duration = 0 } = {}) {
+    const quaternion = toQuaternion(orientation);
+    if (!quaternion) {
+      console.warn('WARNING: setOrientation needs a Quaternion, Euler or [x, y, z, w] array.');
+      return Promise.resolve();
+    }
+    return animateView({ quaternion, duration });
+  }
+
+  function setZoom(distance, { duration = 0 } = {}) {
+    if (!Number.isFinite(distance)) return Promise.resolve();
+    return animateView({ zoom: clamp(distance, params.minZoom, params.maxZoom), duration });
+  }
+
+  function animateView({ quaternion, zoom, duration }) {
+    // Driving the view stops any spin; the sculpture holds still once it arrives.
+    endTransition();
+    velocityX = 0;
+    velocityY = 0;
+    coasting = false;
+    return new Promise((resolve) => {
+      transition = {
+        fromQuaternion: model.quaternion.clone(),
+        toQuaternion: quaternion ? quaternion.clone() : null,
+        fromZoom: zoomDistance,
+        toZoom: zoom ?? null,
+        elapsed: 0,
+        duration: Math.max(duration, 0),
+        resolve
+      };
+      if (transition.duration === 0) stepTransition(0);
+    });
+  }
+
+  function stepTransition(delta) {
+    transition.elapsed += delta;
+    const { fromQuaternion, toQuaternion, fromZoom, toZoom, elapsed, duration } = transition;
+    const t = duration > 0 ? Math.min(1, elapsed / duration) : 1;
+    const eased = t * t * (3 - 2 * t);
+    if (toQuaternion) model.quaternion.slerpQuaternions(fromQuaternion, toQuaternion, eased);
+    if (toZoom != null) {
+      zoomDistance = fromZoom + (toZoom - fromZoom) * eased;
+      camera.position.set(camera.position.x, camera.position.y, zoomDistance);
+    }
+    if (t >= 1) endTransition();
+  }
+
+  function endTransition() {
+    // Settles the promise whether the animation finished or was interrupted.
+    const finished = transition;
+    transition = null;
+    finished?.resolve();
+  }
+
+  function getOrientation() {
+    return model.quaternion.clone();
+  }
+
+  function getZoom() {
+    return zoomDistance;
+  }
+
+  function getVelocity() {
+    return { yaw: velocityX, pitch: velocityY };
+  }
+
+  function getConfig() {
+    return { ...params };
+  }
+
+  function setConfig(nextConfig = {}, { replace = false } = {}) {
+    // Live update of tuning values (dev hot reload, tuning panel); motion state is kept.
+    // `replace` resets keys missing from nextConfig to their defaults; the zoom limits are kept,
+    // since setModel scales those to the fitted camera distance.
+    if (replace) {
+      Object.entries(DEFAULT_PARAMS).forEach(([key, value]) => {
+        if (key !== 'minZoom' && key !== 'maxZoom') params[key] = value;
+      });
+    }
+    assignDefined(params, nextConfig);
+    zoomDistance = clamp(camera.position.z, params.minZoom, params.maxZoom);
+    camera.position.set(camera.position.x, camera.position.y, zoomDistance);
+    homeZoom = clamp(homeZoom, params.minZoom, params.maxZoom);
+    debugLog('config updated', { ...params });
+  }
+
+  function startIdleSpin() {
+    // Attract-mode spin: same impulse as on load, coasting under the normal friction rules.
+    velocityX = params.idleSpinImpulse;
+    velocityY = 0;
+    coasting = true;
+    debugLog('idle spin impulse applied', { velocityX });
+  }
+
+  return {
+    update,
+    dispose,
+    enable,
+    disable,
+    isEnabled: () => enabled,
+    setModel,
+    getConfig,
+    setConfig,
+    getOrientation,
+    setOrientation,
+    getZoom,
+    setZoom,
+    getVelocity,
+    resetView,
+    startIdleSpin
+  };
+}
+
+function toQuaternion(orientation) {
+  if (orientation?.isQuaternion) return orientation.clone().normalize();
+  if (orientation?.isEuler) return new Quaternion().setFromEuler(orientation);
+  if (Array.isArray(orientation) && orientation.length === 4 && orientation.every(Number.isFinite)) {
+    return new Quaternion().fromArray(orientation).normalize();
+  }
+  return null;
+}
+
+function assignDefined(target, source = {}) {
+  // Only known tuning keys with a value override; everything else keeps its current setting.
+  Object.keys(DEFAULT_PARAMS).forEach((key) => {
+    if (source[key] != null) target[key] = source[key];
+  });
 }
 
 function clamp(value, min, max) {
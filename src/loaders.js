@@ -1,7 +1,9 @@
 /** @file Generic loader for scene models based on config. */
-import { Box3, Sphere } from 'three';
+import { Box3, Sphere, Vector3 } from 'three';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
 
+const DEFAULT_SOCKET_CAPACITY = 1;
+
 const socketRegistry = [];
 const modelRegistry = new Map();
 
@@ -16,6 +18,8 @@ const modelRegistry = new Map();
  * @param {boolean} [options.addToScene=true] - Whether to add the model to the scene.
  * @param {boolean} [options.visible=true] - Initial visibility for the model.
  * @param {string} [options.name] - Human-friendly name for logging.
+ * @param {{id: string, role?: string, positionHint?: string, rotationOffset?: number[], capacity?: number}[]} [options.sockets]
+ *   - Config socket metadata merged into the socket registry; `rotationOffset` is Euler radians.
  * @returns {Promise<import('three').Object3D | null>}
  */
 export async function loadModel(scene, options = {}) {
@@ -26,7 +30,8 @@ export async function loadModel(scene, options = {}) {
     scale = 1,
     addToScene = true,
     visible = true,
-    name
+    name,
+    sockets = []
   } = options;
 
   if (!modelPath) {
@@ -60,7 +65,7 @@ export async function loadModel(scene, options = {}) {
       scene.add(model);
     }
     registerModel(label, modelPath, model);
-    collectSockets(model, label);
+    collectSockets(model, label, sockets);
     console.info(`Loaded model "${label}" from ${modelPath}`);
     return model;
   } catch (error) {
@@ -69,9 +74,20 @@ export async function loadModel(scene, options = {}) {
   }
 }
 
+/**
+ * @typedef {Object} SocketEntry
+ * @property {string} objectId - Owning object name.
+ * @property {string} socketId - Socket node name from the GLB (e.g. `socket_p_0`).
+ * @property {import('three').Object3D} threeJsNode - The socket empty.
+ * @property {string} [role] - `parent` or `child`, from config.
+ * @property {string} [positionHint] - Human-readable location, from config.
+ * @property {number[]} rotationOffset - Euler radians applied on top of the empty's orientation.
+ * @property {number} capacity - How many accessories the socket holds at once (default 1).
+ */
+
 /**
  * Get the current socket registry.
- * @returns {{objectId: string, socketId: string, threeJsNode: import('three').Object3D}[]}
+ * @returns {SocketEntry[]}
  */
 export function getSocketRegistry() {
   return socketRegistry;
@@ -101,6 +117,50 @@ export function getModelMeta(id) {
   return { id, ...entry };
 }
 
+/**
+ * Reload a GLB that changed on disk and patch every loaded copy in place: named nodes (sockets
+ * included) take the new transforms, meshes the new geometry and materials. Patching rather than
+ * swapping keeps socket registry entries, attached accessories and config transforms intact.
+ * @param {string} modelPath - Asset path as used in config.
+ * @param {(id: string) => import('three').Object3D[]} [getCopies] - Further live copies of a
+ *   registered model (e.g. placed clones) to patch along with it.
+ * @returns {Promise<string[]>} ids of the patched models; empty when nothing uses the path
+ */
+export async function reloadModelAsset(modelPath, getCopies = () => []) {
+  const entries = Array.from(modelRegistry.entries()).filter(([, value]) => value.modelPath === modelPath);
+  if (entries.length === 0) return [];
+
+  let source;
+  try {
+    // Cache-busted so the browser does not hand back the previous file.
+    source = (await new GLTFLoader().loadAsync(`${modelPath}?t=${Date.now()}`)).scene;
+  } catch (error) {
+    console.warn(`WARNING: Failed to reload ${modelPath}: ${error?.message || error}`);
+    return [];
+  }
+
+  entries.forEach(([id, { model }]) => {
+    const targets = new Set([model, ...getCopies(id)]);
+    const complete = Array.from(targets).every((target) => patchModel(target, source));
+    if (!complete) {
+      console.warn(`WARNING: Nodes were added or removed in ${modelPath}; reload the page to pick them up.`);
+    }
+  });
+  return entries.map(([id]) => id);
+}
+
+/**
+ * Uniform world scale of any object (largest axis of its world scale).
+ * @param {import('three').Object3D} object
+ * @returns {number} scale, or 1 when it cannot be determined
+ */
+export function uniformWorldScale(object) {
+  if (!object) return 1;
+  const scale = object.getWorldScale(new Vector3());
+  const largest = Math.max(Math.abs(scale.x), Math.abs(scale.y), Math.abs(scale.z));
+  return Number.isFinite(largest) && largest > 0 ? largest : 1;
+}
+
 async function preflightAsset(modelPath, label, addToScene) {
   try {
     const response = await fetch(modelPath, { method: 'HEAD' });
@@ -130,7 +190,7 @@ async function preflightAsset(modelPath, label, addToScene) {
   }
 }
 
-function collectSockets(model, objectId) {
+function collectSockets(model, objectId, socketConfigs = []) {
   // Remove stale entries for this objectId before adding new ones.
   for (let i = socketRegistry.length - 1; i >= 0; i -= 1) {
     if (socketRegistry[i].objectId === objectId) {
@@ -138,11 +198,14 @@ function collectSockets(model, objectId) {
     }
   }
 
+  const configById = new Map(
+    (Array.isArray(socketConfigs) ? socketConfigs : []).map((config) => [config?.id, config])
+  );
   const sockets = [];
   model.traverse((node) => {
     if (!node?.name || typeof node.name !== 'string') return;
     if (!node.name.startsWith('socket_')) return;
-    sockets.push({ objectId, socketId: node.name, threeJsNode: node });
+    sockets.push(socketEntry(objectId, node, configById.get(node.name)));
   });
 
   socketRegistry.push(...sockets);
@@ -155,6 +218,57 @@ function collectSockets(model, objectId) {
   }
 }
 
+function socketEntry(objectId, node, config = {}) {
+  const role = config.role ?? (node.name.startsWith('socket_c_') ? 'child' : 'parent');
+  const rotationOffset = Array.isArray(config.rotationOffset)
+    ? [0, 1, 2].map((i) => (Number.isFinite(config.rotationOffset[i]) ? config.rotationOffset[i] : 0))
+    : [0, 0, 0];
+  const capacity =
+    Number.isInteger(config.capacity) && config.capacity >= 0 ? config.capacity : DEFAULT_SOCKET_CAPACITY;
+  return {
+    objectId,
+    socketId: node.name,
+    threeJsNode: node,
+    role,
+    positionHint: config.positionHint,
+    rotationOffset,
+    capacity
+  };
+}
+
+function patchModel(target, source) {
+  const sourceNodes = new Map();
+  source.traverse((node) => {
+    if (node !== source && node.name) sourceNodes.set(node.name, node);
+  });
+
+  let own = 0;
+  let matched = 0;
+  visitOwnNodes(target, (node) => {
+    own += 1;
+    const next = sourceNodes.get(node.name);
+    if (!next) return;
+    matched += 1;
+    node.position.copy(next.position);
+    node.quaternion.copy(next.quaternion);
+    node.scale.copy(next.scale);
+    if (node.isMesh && next.isMesh) {
+      node.geometry = next.geometry;
+      node.material = next.material;
+    }
+  });
+  return matched === own && matched === sourceNodes.size;
+}
+
+function visitOwnNodes(root, visit) {
+  root.children.forEach((child) => {
+    // Placed accessories and helper markers live under socket nodes but are not part of the GLB.
+    if (child.userData?.instanceId || child.name === 'highlight_marker') return;
+    if (child.name) visit(child);
+    visitOwnNodes(child, visit);
+  });
+}
+
 function registerModel(id, modelPath, model) {
   const box = new Box3().setFromObject(model);
   const sphere = new Sphere();
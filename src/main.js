@@ -1,20 +1,60 @@
 /** @file App entrypoint: create scene, load config, and add base model. */
-import { Box3, MathUtils, Sphere, Vector3 } from 'three';
-import { getModelMeta, loadModel } from './loaders.js';
+import { getModelMeta, getModelRegistry, getSocketRegistry, loadModel } from './loaders.js';
+import { fitCameraToModel, scaleForEntry, scaleZoomRange } from './framing.js';
 import { createScene } from './scene.js';
 import { loadObjectConfig } from './config.js';
 import { createInteractionController } from './interaction.js';
 import { initTray } from './tray.js';
 import { initDrag } from './drag.js';
+import { checkSocketConsistency, initSocketRules } from './socketsConfig.js';
+import { reportProblems, showStartupError } from './problems.js';
+import { onPlacementsChange, registerInstance } from './placements.js';
+import { createBaseSwitcher, initBasePicker } from './bases.js';
+import { createIdleMode } from './idle.js';
+import { createHistory, initHistoryControls } from './history.js';
+import { captureSnapshot, downloadBlob, initSnapshotControl } from './snapshot.js';
+import { exportCompositionGlb, initExportControl } from './exportGlb.js';
+import { initDevReload } from './devReload.js';
+import { initTuningPanel } from './tuning.js';
+import {
+  clearStoredSceneState,
+  loadStoredSceneState,
+  restoreSceneState,
+  serializeSceneState,
+  storeSceneState
+} from './sceneState.js';
 
 (async () => {
-  const { base, bases, accessories, debug } = await loadObjectConfig();
-  const { scene, renderer, camera } = createScene(base.scene);
+  let config;
+  try {
+    config = await loadObjectConfig();
+  } catch (error) {
+    showStartupError('The exhibition could not be loaded.', error);
+    return;
+  }
+  const {
+    exhibition,
+    base,
+    bases,
+    accessories,
+    allObjects,
+    debug,
+    idle,
+    sceneState,
+    history,
+    snapshot,
+    exportGlb,
+    tuning
+  } = config;
+  if (exhibition.title) document.title = exhibition.title;
+  initSocketRules(allObjects);
+  const { scene, renderer, camera, applyConfig: applySceneConfig } = createScene(base.scene);
   const model = await loadModel(scene, base);
   if (!model) {
     console.error('Failed to load base model; aborting scene setup.');
     return;
   }
+  registerInstance(base.name, model);
 
   const baseSize = Number.isFinite(base.size) ? base.size : 1;
   const baseMeta = getModelMeta(base.name);
@@ -23,7 +63,11 @@ import { initDrag } from './drag.js';
   const loadedAccessories = await preloadAccessories(scene, accessories, baseSize, baseRadius);
   initTray({ accessories: loadedAccessories });
 
-  preloadRemainingObjects(scene, bases, accessories, base.name);
+  const pendingBases = preloadRemainingBases(scene, bases, base.name);
+  Promise.allSettled(pendingBases.values()).then(() => {
+    const loadedIds = getModelRegistry().map((entry) => entry.id);
+    reportProblems('sockets', checkSocketConsistency(getSocketRegistry(), loadedIds));
+  });
 
   // Fit camera to model with optional portrait scaling
   const baseCameraZ = camera.position.z;
@@ -41,7 +85,47 @@ import { initDrag } from './drag.js';
     debug || {}
   );
 
-  initDrag({
+  // Resolved lazily: the base switcher needs the drag controller, which records into history.
+  const getBaseModel = () => baseSwitcher.getCurrent().model;
+  const placementHistory = createHistory({
+    capture: () => {
+      // Orientation keeps drifting while the sculpture coasts; history tracks composition only.
+      const { orientation, ...composition } = serializeSceneState(getBaseModel()) ?? {};
+      return composition;
+    },
+    apply: async (state) => {
+      await restoreSceneState(state, { getBaseModel, switchBase: baseSwitcher.switchTo });
+      basePicker?.setCurrent(baseSwitcher.getCurrent().entry.name);
+      saveSceneState();
+    },
+    isBusy: () => baseSwitcher.isSwitching(),
+    maxSize: history.maxSize
+  });
+  initHistoryControls({ history: placementHistory });
+  initSnapshotControl({
+    onCapture: async () => {
+      // The displayed base's background unless the snapshot block sets its own.
+      const background = snapshot.background ?? baseSwitcher.getCurrent().entry.scene?.background;
+      const blob = await captureSnapshot({
+        renderer,
+        scene,
+        camera,
+        options: background == null ? snapshot : { ...snapshot, background }
+      });
+      downloadBlob(blob, snapshot.filename || 'composition.png');
+    }
+  });
+  if (exportGlb.enabled !== false) {
+    initExportControl({
+      onExport: async () => {
+        const { entry, model: baseModel } = baseSwitcher.getCurrent();
+        const blob = await exportCompositionGlb(baseModel, { rotation: entry.rotation });
+        downloadBlob(blob, exportGlb.filename || 'composition.glb');
+      }
+    });
+  }
+
+  const drag = initDrag({
     scene,
     camera,
     renderer,
@@ -49,7 +133,87 @@ import { initDrag } from './drag.js';
     accessories: loadedAccessories,
     baseSize,
     baseRadius,
-    baseModel: model
+    baseModel: model,
+    removal: {
+      longPressMs: base.interaction?.removeLongPressMs,
+      flickSpeed: base.interaction?.removeFlickSpeed
+    },
+    history: placementHistory
+  });
+
+  const baseSwitcher = createBaseSwitcher({
+    scene,
+    camera,
+    bases,
+    accessories: loadedAccessories,
+    interaction: interactions,
+    applySceneConfig,
+    drag,
+    initialBase: base,
+    initialModel: model,
+    pendingModels: pendingBases
+  });
+  const { persist = true, storageKey = 'gallery-3d-viewer:scene' } = sceneState;
+  const saveSceneState = () => {
+    if (persist) storeSceneState(storageKey, serializeSceneState(getBaseModel()));
+  };
+
+  const basePicker = initBasePicker({
+    bases,
+    onSelect: async (name) => {
+      placementHistory.begin();
+      if (await baseSwitcher.switchTo(name)) {
+        basePicker?.setCurrent(name);
+        placementHistory.commit('switch base');
+        saveSceneState();
+      }
+    }
+  });
+
+  const idleMode = createIdleMode({
+    interaction: interactions,
+    getBaseModel,
+    onReset: () => {
+      // A new visitor should not be able to undo back into the previous composition.
+      placementHistory.clear();
+      saveSceneState();
+    },
+    config: idle
+  });
+  // Demo placements are not a visitor's composition; onReset already saved the bare scene.
+  const saveVisitorState = () => {
+    if (!idleMode.isIdle()) saveSceneState();
+  };
+
+  if (persist) {
+    const saved = loadStoredSceneState(storageKey);
+    if (saved) {
+      try {
+        await restoreSceneState(saved, {
+          getBaseModel,
+          switchBase: baseSwitcher.switchTo,
+          interaction: interactions
+        });
+      } catch (error) {
+        // A corrupt saved state must not keep the kiosk from starting on every reboot.
+        console.error(`Could not restore the saved scene; discarding it. ${error?.message || error}`);
+        clearStoredSceneState(storageKey);
+      }
+    }
+    onPlacementsChange(saveVisitorState);
+    window.addEventListener('pagehide', saveVisitorState);
+  }
+  basePicker?.setCurrent(baseSwitcher.getCurrent().entry.name);
+
+  initTuningPanel({ interaction: interactions, config: tuning });
+
+  initDevReload({
+    exhibition,
+    allObjects,
+    camera,
+    applySceneConfig,
+    interaction: interactions,
+    getCurrentBase: baseSwitcher.getCurrent
   });
 
   let previousTime = 0;
@@ -63,18 +227,22 @@ import { initDrag } from './drag.js';
   });
 })();
 
-function preloadRemainingObjects(scene, bases, accessories, displayedBaseName) {
-  const remainingBases = bases.filter((entry) => entry.name !== displayedBaseName);
-  if (remainingBases.length === 0) return;
-
-  Promise.allSettled(
-    remainingBases.map((entry) =>
-      loadModel(scene, {
-        ...entry,
-        addToScene: false,
-        visible: false
-      })
-    )
+/**
+ * Start loading every base except the displayed one, hidden and outside the scene.
+ * @returns {Map<string, Promise<import('three').Object3D | null>>} pending loads by base name
+ */
+function preloadRemainingBases(scene, bases, displayedBaseName) {
+  return new Map(
+    bases
+      .filter((entry) => entry.name !== displayedBaseName)
+      .map((entry) => [
+        entry.name,
+        loadModel(scene, {
+          ...entry,
+          addToScene: false,
+          visible: false
+        })
+      ])
   );
 }
 
@@ -104,73 +272,3 @@ async function preloadAccessories(scene, accessories, baseSize, baseRadius) {
 
   return results.filter(Boolean);
 }
-
-/**
- * Fit the camera distance so the model bounds are in view for the current aspect.
- * @param {import('three').Camera} camera
- * @param {import('three').Object3D} model
- * @param {{padding?: number, portraitScale?: number}} options
- * @returns {number} distance used
- */
-function fitCameraToModel(camera, model, options = {}) {
-  const padding = options.padding ?? 1.0;
-  const portraitScale = options.portraitScale ?? 1.0;
-
-  const box = new Box3().setFromObject(model);
-  const sphere = new Sphere();
-  box.getBoundingSphere(sphere);
-  const aspect = camera.aspect || 1;
-  const aspectScale = aspect < 1 ? portraitScale : 1;
-  const radius = sphere.radius * padding * aspectScale;
-  if (!isFinite(radius) || radius <= 0) {
-    return camera.position.z;
-  }
-
-  const vFov = MathUtils.degToRad(camera.fov);
-  const hFov = 2 * Math.atan(Math.tan(vFov / 2) * camera.aspect);
-  const distV = radius / Math.tan(vFov / 2);
-  const distH = radius / Math.tan(hFov / 2);
-  const distance = Math.max(distV, distH);
-
-  const center = new Vector3();
-  box.getCenter(center);
-  camera.position.set(center.x, center.y, center.z + distance);
-  camera.lookAt(center);
-
-  return distance;
-}
-
-/**
- * Scale zoom limits relative to a fitted camera distance so aspect changes feel consistent.
- * @param {Object} interaction
- * @param {number} baseDistance
- * @param {number} fitDistance
- * @returns {Object}
- */
-function scaleZoomRange(interaction, baseDistance, fitDistance) {
-  if (!baseDistance || !fitDistance || !isFinite(baseDistance) || !isFinite(fitDistance)) {
-    return interaction;
-  }
-  const scale = fitDistance / baseDistance;
-  if (!isFinite(scale) || scale <= 0) return interaction;
-
-  const next = { ...interaction };
-  if (interaction.minZoom != null) next.minZoom = interaction.minZoom * scale;
-  if (interaction.maxZoom != null) next.maxZoom = interaction.maxZoom * scale;
-
-  return next;
-}
-
-function scaleForEntry(entry, baseSize, baseRadius, accessoryRadius) {
-  if (!entry || entry.objClass !== 'accessory') return undefined;
-  const base = Number.isFinite(baseSize) && baseSize > 0 ? baseSize : 1;
-  const size = Number.isFinite(entry.size) ? entry.size : null;
-  if (size === null) return undefined;
-  const relativeScale = size / base;
-  const radiusRatio =
-    Number.isFinite(baseRadius) && Number.isFinite(accessoryRadius) && accessoryRadius > 0
-      ? baseRadius / accessoryRadius
-      : 1;
-  const finalScale = relativeScale * radiusRatio;
-  return Number.isFinite(finalScale) && finalScale > 0 ? finalScale : undefined;
-}
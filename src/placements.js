@@ -0,0 +1,273 @@
+/** @file Placed object instances and their per-instance socket registries. */
+import { getModelMeta, getSocketRegistry, uniformWorldScale } from './loaders.js';
+import { CHILD_SOCKET_ID, attachToSocket } from './attach.js';
+
+const instances = new Map();
+const instanceCounters = new Map();
+const changeListeners = new Set();
+
+/**
+ * @typedef {Object} InstanceSocket
+ * @property {string} instanceId - Instance that owns the socket.
+ * @property {string} objectId - Object name of the owning instance.
+ * @property {string} socketId - Socket node name (e.g. `socket_p_0`).
+ * @property {import('three').Object3D} threeJsNode - Socket empty inside the instance's model.
+ * @property {string} [role]
+ * @property {string} [positionHint]
+ * @property {number[]} rotationOffset
+ * @property {number} capacity - Maximum number of occupants.
+ * @property {string[]} occupants - Instance ids attached to this socket.
+ */
+
+/**
+ * @typedef {Object} PlacedInstance
+ * @property {string} instanceId
+ * @property {string} objectId
+ * @property {import('three').Object3D} model
+ * @property {string | null} hostInstanceId - Instance this one is attached to, if any.
+ * @property {string | null} hostSocketId - Socket on the host, if attached.
+ * @property {InstanceSocket[]} sockets
+ */
+
+/**
+ * Track a displayed model (the base or a placed accessory clone) with its own sockets.
+ * Socket metadata is copied from the template entries collected at load time.
+ * @param {string} objectId - Config object name.
+ * @param {import('three').Object3D} model - The displayed model or clone.
+ * @param {{instanceId?: string}} [options]
+ * @returns {PlacedInstance}
+ */
+export function registerInstance(objectId, model, options = {}) {
+  const instanceId = options.instanceId || nextInstanceId(objectId);
+  const templateSockets = new Map(
+    getSocketRegistry()
+      .filter((socket) => socket.objectId === objectId)
+      .map((socket) => [socket.socketId, socket])
+  );
+
+  const sockets = [];
+  model.traverse((node) => {
+    if (typeof node?.name !== 'string' || !node.name.startsWith('socket_')) return;
+    const template = templateSockets.get(node.name);
+    sockets.push({
+      instanceId,
+      objectId,
+      socketId: node.name,
+      threeJsNode: node,
+      role: template?.role,
+      positionHint: template?.positionHint,
+      rotationOffset: template?.rotationOffset ?? [0, 0, 0],
+      capacity: template?.capacity ?? 1,
+      occupants: []
+    });
+  });
+
+  model.userData.instanceId = instanceId;
+  const instance = { instanceId, objectId, model, hostInstanceId: null, hostSocketId: null, sockets };
+  instances.set(instanceId, instance);
+  return instance;
+}
+
+/**
+ * Whether a socket has room for another accessory.
+ * @param {InstanceSocket} socket
+ * @returns {boolean}
+ */
+export function isSocketAvailable(socket) {
+  return !!socket && socket.occupants.length < socket.capacity;
+}
+
+/**
+ * Record that an instance now sits on a host instance's socket.
+ * @param {string} instanceId
+ * @param {string} hostInstanceId
+ * @param {string} socketId
+ * @returns {boolean} false when the instance or socket is unknown, or the socket is full
+ */
+export function setInstanceHost(instanceId, hostInstanceId, socketId) {
+  const instance = instances.get(instanceId);
+  const socket = findSocket(hostInstanceId, socketId);
+  if (!instance || !socket) return false;
+  if (instance.hostInstanceId === hostInstanceId && instance.hostSocketId === socketId) return true;
+  if (!isSocketAvailable(socket)) return false;
+
+  releaseHostSocket(instance);
+  socket.occupants.push(instanceId);
+  instance.hostInstanceId = hostInstanceId;
+  instance.hostSocketId = socketId;
+  notifyChange();
+  return true;
+}
+
+/**
+ * Snap a tracked instance onto a host instance's socket and record the occupancy.
+ * @param {string} instanceId
+ * @param {string} hostInstanceId
+ * @param {string} socketId
+ * @param {{worldScale?: number}} [options] - Defaults to the instance's current world scale.
+ * @returns {boolean} false when either side is unknown or the socket is full
+ */
+export function attachInstance(instanceId, hostInstanceId, socketId, options = {}) {
+  const instance = instances.get(instanceId);
+  const socket = findSocket(hostInstanceId, socketId);
+  if (!instance || !socket) return false;
+  const alreadyThere = instance.hostInstanceId === hostInstanceId && instance.hostSocketId === socketId;
+  if (!alreadyThere && !isSocketAvailable(socket)) return false;
+
+  const childSocket = instance.sockets.find((candidate) => candidate.socketId === CHILD_SOCKET_ID);
+  attachToSocket(instance.model, socket.threeJsNode, {
+    worldScale: options.worldScale ?? uniformWorldScale(instance.model),
+    rotationOffset: socket.rotationOffset,
+    childRotationOffset: childSocket?.rotationOffset
+  });
+  return setInstanceHost(instanceId, hostInstanceId, socketId);
+}
+
+/**
+ * Clone an accessory's preloaded template and attach the copy to a host instance's socket.
+ * @param {string} objectId - Accessory name.
+ * @param {string} hostInstanceId
+ * @param {string} socketId
+ * @param {{instanceId?: string}} [options]
+ * @returns {PlacedInstance | null} the new instance, or null when the template or socket is unavailable
+ */
+export function placeAccessory(objectId, hostInstanceId, socketId, options = {}) {
+  const template = getModelMeta(objectId)?.model;
+  const socket = findSocket(hostInstanceId, socketId);
+  if (!template || !isSocketAvailable(socket)) return null;
+
+  const clone = template.clone(true);
+  clone.visible = true;
+  clone.renderOrder = 1;
+  const instance = registerInstance(objectId, clone, options);
+  // Templates are never parented, so their local scale is the accessory's world scale.
+  if (!attachInstance(instance.instanceId, hostInstanceId, socketId, { worldScale: template.scale.x })) {
+    removeInstance(instance.instanceId);
+    return null;
+  }
+  return instance;
+}
+
+/**
+ * Free the socket an instance occupies while keeping it (and anything stacked on it) tracked.
+ * @param {string} instanceId
+ */
+export function detachInstance(instanceId) {
+  const instance = instances.get(instanceId);
+  if (instance) releaseHostSocket(instance);
+}
+
+/**
+ * Ids of an instance and every instance stacked on it, directly or indirectly.
+ * @param {string} instanceId
+ * @returns {string[]}
+ */
+export function getStackedInstanceIds(instanceId) {
+  const instance = instances.get(instanceId);
+  if (!instance) return [];
+  return [
+    instanceId,
+    ...instance.sockets.flatMap((socket) => socket.occupants.flatMap(getStackedInstanceIds))
+  ];
+}
+
+/**
+ * Find the tracked instance that owns a scene object (the nearest tagged ancestor).
+ * @param {import('three').Object3D} object
+ * @returns {PlacedInstance | undefined}
+ */
+export function findInstanceForObject(object) {
+  let current = object;
+  while (current) {
+    const instance = instances.get(current.userData?.instanceId);
+    if (instance && instance.model === current) return instance;
+    current = current.parent;
+  }
+  return undefined;
+}
+
+/**
+ * Stop tracking an instance and everything stacked on it, freeing the socket it occupied and
+ * removing it from the scene.
+ * @param {string} instanceId
+ * @returns {string[]} ids of every removed instance, stacked children first
+ */
+export function removeInstance(instanceId) {
+  const instance = instances.get(instanceId);
+  if (!instance) return [];
+
+  const removed = [];
+  instance.sockets.forEach((socket) => {
+    [...socket.occupants].forEach((childId) => removed.push(...removeInstance(childId)));
+  });
+
+  releaseHostSocket(instance);
+  instance.model.removeFromParent();
+  instances.delete(instanceId);
+  removed.push(instanceId);
+  notifyChange();
+  return removed;
+}
+
+/**
+ * @param {string} instanceId
+ * @returns {PlacedInstance | undefined}
+ */
+export function getInstance(instanceId) {
+  return instances.get(instanceId);
+}
+
+/**
+ * @returns {PlacedInstance[]}
+ */
+export function getInstances() {
+  return Array.from(instances.values());
+}
+
+/**
+ * Flat list of every socket on every tracked instance.
+ * @returns {InstanceSocket[]}
+ */
+export function getInstanceSockets() {
+  return getInstances().flatMap((instance) => instance.sockets);
+}
+
+/**
+ * Subscribe to composition changes (an instance attached to a socket, or removed).
+ * @param {() => void} listener
+ * @returns {() => void} unsubscribe
+ */
+export function onPlacementsChange(listener) {
+  changeListeners.add(listener);
+  return () => changeListeners.delete(listener);
+}
+
+function notifyChange() {
+  changeListeners.forEach((listener) => {
+    try {
+      listener();
+    } catch (error) {
+      console.warn(`WARNING: Placement listener failed: ${error?.message || error}`);
+    }
+  });
+}
+
+function findSocket(instanceId, socketId) {
+  return instances.get(instanceId)?.sockets.find((socket) => socket.socketId === socketId);
+}
+
+function releaseHostSocket(instance) {
+  const socket = findSocket(instance.hostInstanceId, instance.hostSocketId);
+  if (socket) {
+    socket.occupants = socket.occupants.filter((id) => id !== instance.instanceId);
+  }
+  instance.hostInstanceId = null;
+  instance.hostSocketId = null;
+}
+
+function nextInstanceId(objectId) {
+  let count = instanceCounters.get(objectId) ?? 0;
+  while (instances.has(`${objectId}#${count}`)) count += 1;
+  instanceCounters.set(objectId, count + 1);
+  return `${objectId}#${count}`;
+}
@@ -0,0 +1,85 @@
+/** @file Reports configuration problems (on-screen panel in development, console in production) and startup failures. */
+
+/**
+ * Report a group of problems. Every problem is logged; during development (`vite dev`) they are
+ * also listed in a dismissible panel over the scene so they are hard to miss. Reporting a group
+ * again (e.g. after a config hot reload) replaces its earlier list, so an empty list clears it.
+ * @param {string} title - Heading for the group, e.g. `objects.hjson`.
+ * @param {{path: string, object?: string, message: string}[]} problems
+ */
+export function reportProblems(title, problems = []) {
+  problems.forEach((problem) => {
+    console.error(`[${title}] ${formatProblem(problem)}`);
+  });
+
+  if (import.meta.env?.DEV) {
+    showPanel(title, problems);
+  }
+}
+
+/**
+ * Show an error that stops the viewer from starting. Unlike reportProblems this is shown in
+ * production too, since otherwise the screen would stay blank.
+ * @param {string} message - What failed, for visitors and staff.
+ * @param {unknown} error
+ */
+export function showStartupError(message, error) {
+  console.error(`${message} ${error?.message || error}`);
+
+  const screen = document.createElement('div');
+  screen.id = 'startup-error';
+  const heading = document.createElement('h2');
+  heading.textContent = message;
+  const detail = document.createElement('p');
+  detail.textContent = String(error?.message || error);
+  screen.append(heading, detail);
+  document.body.appendChild(screen);
+}
+
+/**
+ * @param {{path: string, object?: string, message: string}} problem
+ * @returns {string}
+ */
+export function formatProblem({ path, object, message }) {
+  return object ? `${object}: ${path} ${message}` : `${path} ${message}`;
+}
+
+function showPanel(title, problems) {
+  let panel = document.getElementById('problems');
+  const previous = Array.from(panel?.querySelectorAll('section') ?? []).find(
+    (section) => section.dataset.title === title
+  );
+  previous?.remove();
+  if (problems.length === 0) {
+    if (panel && !panel.querySelector('section')) panel.remove();
+    return;
+  }
+
+  if (!panel) {
+    panel = document.createElement('div');
+    panel.id = 'problems';
+    panel.className = 'panel';
+    panel.addEventListener('pointerdown', (event) => {
+      event.stopPropagation();
+      if (event.target?.closest?.('button')) panel.remove();
+    });
+    const close = document.createElement('button');
+    close.type = 'button';
+    close.textContent = 'Dismiss';
+    panel.appendChild(close);
+    document.body.appendChild(panel);
+  }
+
+  const section = document.createElement('section');
+  section.dataset.title = title;
+  const heading = document.createElement('h2');
+  heading.textContent = `${title}: ${problems.length} problem${problems.length === 1 ? '' : 's'}`;
+  const list = document.createElement('ul');
+  problems.forEach((problem) => {
+    const item = document.createElement('li');
+    item.textContent = formatProblem(problem);
+    list.appendChild(item);
+  });
+  section.append(heading, list);
+  panel.appendChild(section);
+}
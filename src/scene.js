@@ -13,30 +13,21 @@ const defaultSceneConfig = {
 /**
  * Create a Three.js scene with values merged from config.
  * @param {Object} [sceneConfig]
- * @returns {{scene: import('three').Scene, camera: import('three').Camera, renderer: import('three').WebGLRenderer}}
+ * @returns {{
+ *   scene: import('three').Scene,
+ *   camera: import('three').Camera,
+ *   renderer: import('three').WebGLRenderer,
+ *   applyConfig: (sceneConfig?: Object) => void
+ * }} `applyConfig` re-applies background, camera fov and lights to the running scene; the camera
+ *   position is only taken from config here, afterwards framing owns it.
  */
 export function createScene(sceneConfig = {}) {
-  const background = sceneConfig.background ?? defaultSceneConfig.background;
-  const cameraConfig = {
-    ...defaultSceneConfig.camera,
-    ...(sceneConfig.camera || {})
-  };
-  const lightsConfig = {
-    directional: {
-      ...defaultSceneConfig.lights.directional,
-      ...(sceneConfig.lights?.directional || {})
-    },
-    ambient: {
-      ...defaultSceneConfig.lights.ambient,
-      ...(sceneConfig.lights?.ambient || {})
-    }
-  };
+  const { camera: cameraConfig } = resolveSceneConfig(sceneConfig);
 
   const canvas = document.getElementById('app');
 
   const renderer = new THREE.WebGLRenderer({ canvas, antialias: true, alpha: true });
   renderer.setPixelRatio(window.devicePixelRatio);
-  renderer.setClearColor(new THREE.Color(background), 0);
 
   const scene = new THREE.Scene();
   scene.background = null;
@@ -54,23 +45,34 @@ export function createScene(sceneConfig = {}) {
     cameraConfig.position?.[2] ?? 5
   );
 
-  const directional = new THREE.DirectionalLight(
-    lightsConfig.directional.color,
-    lightsConfig.directional.intensity
-  );
-  directional.position.set(
-    lightsConfig.directional.position?.[0] ?? 3,
-    lightsConfig.directional.position?.[1] ?? 5,
-    lightsConfig.directional.position?.[2] ?? 2
-  );
+  const directional = new THREE.DirectionalLight();
   scene.add(directional);
 
-  const ambient = new THREE.AmbientLight(
-    lightsConfig.ambient.color,
-    lightsConfig.ambient.intensity
-  );
+  const ambient = new THREE.AmbientLight();
   scene.add(ambient);
 
+  function applyConfig(nextConfig = {}) {
+    const { background, camera: nextCamera, lights } = resolveSceneConfig(nextConfig);
+    renderer.setClearColor(new THREE.Color(background), 0);
+
+    if (camera.fov !== nextCamera.fov) {
+      camera.fov = nextCamera.fov;
+      camera.updateProjectionMatrix();
+    }
+
+    directional.color.set(lights.directional.color);
+    directional.intensity = lights.directional.intensity;
+    directional.position.set(
+      lights.directional.position?.[0] ?? 3,
+      lights.directional.position?.[1] ?? 5,
+      lights.directional.position?.[2] ?? 2
+    );
+
+    ambient.color.set(lights.ambient.color);
+    ambient.intensity = lights.ambient.intensity;
+  }
+  applyConfig(sceneConfig);
+
   function onResize() {
     const { width, height } = getViewportSize();
     camera.aspect = width / height;
@@ -80,7 +82,27 @@ export function createScene(sceneConfig = {}) {
   window.addEventListener('resize', onResize);
   onResize();
 
-  return { scene, camera, renderer };
+  return { scene, camera, renderer, applyConfig };
+}
+
+function resolveSceneConfig(sceneConfig) {
+  return {
+    background: sceneConfig.background ?? defaultSceneConfig.background,
+    camera: {
+      ...defaultSceneConfig.camera,
+      ...(sceneConfig.camera || {})
+    },
+    lights: {
+      directional: {
+        ...defaultSceneConfig.lights.directional,
+        ...(sceneConfig.lights?.directional || {})
+      },
+      ambient: {
+        ...defaultSceneConfig.lights.ambient,
+        ...(sceneConfig.lights?.ambient || {})
+      }
+    }
+  };
 }
 
 function getViewportSize() {
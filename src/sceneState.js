@@ -0,0 +1,181 @@
+/** @file Serialize visitor compositions and rebuild them from preloaded templates. */
+import { getInstance, getInstances, placeAccessory, removeInstance } from './placements.js';
+import { canAttach } from './socketsConfig.js';
+
+const STATE_VERSION = 1;
+
+/**
+ * @typedef {Object} SceneState
+ * @property {number} version
+ * @property {string} base - Displayed base object name.
+ * @property {string} baseInstanceId - Instance id the base had when saved.
+ * @property {number[]} orientation - Base model quaternion as [x, y, z, w].
+ * @property {{id: string, objectId: string, host: string, socket: string}[]} accessories
+ *   - Placed accessory instances, hosts always listed before what is stacked on them.
+ */
+
+/**
+ * Capture the current composition on a base model.
+ * @param {import('three').Object3D} baseModel - The displayed base.
+ * @returns {SceneState | null} null when the base is not tracked
+ */
+export function serializeSceneState(baseModel) {
+  const baseInstance = getInstances().find((instance) => instance.model === baseModel);
+  if (!baseInstance) return null;
+
+  const accessories = [];
+  const queue = [baseInstance];
+  while (queue.length > 0) {
+    const host = queue.shift();
+    host.sockets.forEach((socket) => {
+      socket.occupants.forEach((id) => {
+        const instance = getInstance(id);
+        if (!instance) return;
+        accessories.push({
+          id: instance.instanceId,
+          objectId: instance.objectId,
+          host: host.instanceId,
+          socket: socket.socketId
+        });
+        queue.push(instance);
+      });
+    });
+  }
+
+  const { x, y, z, w } = baseModel.quaternion;
+  return {
+    version: STATE_VERSION,
+    base: baseInstance.objectId,
+    baseInstanceId: baseInstance.instanceId,
+    orientation: [x, y, z, w],
+    accessories
+  };
+}
+
+/**
+ * Rebuild a saved composition: switch base if needed, clear what is placed, then re-place each
+ * accessory from its template. Entries that no longer fit the config are skipped with a warning.
+ * @param {SceneState} state
+ * @param {{
+ *   getBaseModel: () => import('three').Object3D,
+ *   switchBase?: (name: string, options?: {duration?: number}) => Promise<boolean>,
+ *   interaction?: {setOrientation: (orientation: number[]) => Promise<void>},
+ *   duration?: number
+ * }} options - `duration` is the base switch transition (ms), instant by default. A state
+ *   without `orientation` leaves the current orientation alone; with `interaction` it is applied
+ *   through the controller so any spin stops as well.
+ * @returns {Promise<boolean>} false when the state is unusable
+ */
+export async function restoreSceneState(state, { getBaseModel, switchBase, interaction, duration = 0 }) {
+  if (
+    !state ||
+    state.version !== STATE_VERSION ||
+    typeof state.base !== 'string' ||
+    !Array.isArray(state.accessories)
+  ) {
+    console.warn('WARNING: Ignoring saved scene state with an unknown format.');
+    return false;
+  }
+
+  if (switchBase) await switchBase(state.base, { duration });
+  const baseModel = getBaseModel();
+  const baseInstance = getInstances().find((instance) => instance.model === baseModel);
+  if (!baseInstance || baseInstance.objectId !== state.base) {
+    console.warn(`WARNING: Saved scene state needs base "${state.base}", which is not displayed.`);
+    return false;
+  }
+
+  getInstances()
+    .filter((instance) => instance.hostInstanceId === baseInstance.instanceId)
+    .forEach((instance) => removeInstance(instance.instanceId));
+
+  if (
+    Array.isArray(state.orientation) &&
+    state.orientation.length === 4 &&
+    state.orientation.every(Number.isFinite)
+  ) {
+    if (interaction) {
+      interaction.setOrientation(state.orientation);
+    } else {
+      baseModel.quaternion.fromArray(state.orientation).normalize();
+    }
+  }
+
+  // Saved ids map onto live ones; the base usually gets a new id after a reload.
+  const idMap = new Map([[state.baseInstanceId, baseInstance.instanceId]]);
+  state.accessories.forEach((entry) => {
+    if (!isSavedAccessory(entry)) {
+      console.warn(`WARNING: Skipping malformed saved accessory ${JSON.stringify(entry)}.`);
+      return;
+    }
+    const hostId = idMap.get(entry.host);
+    const host = hostId && getInstance(hostId);
+    if (!host || !canAttach(entry.objectId, host.objectId, entry.socket)) {
+      console.warn(`WARNING: Skipping saved "${entry.objectId}" on ${entry.host}.${entry.socket}.`);
+      return;
+    }
+    const instance = placeAccessory(entry.objectId, hostId, entry.socket, { instanceId: freeId(entry.id) });
+    if (instance) {
+      idMap.set(entry.id, instance.instanceId);
+    } else {
+      console.warn(`WARNING: Could not restore "${entry.objectId}" on ${entry.host}.${entry.socket}.`);
+    }
+  });
+
+  return true;
+}
+
+/**
+ * Persist a scene state in localStorage.
+ * @param {string} key
+ * @param {SceneState | null} state
+ */
+export function storeSceneState(key, state) {
+  if (!state) return;
+  try {
+    window.localStorage.setItem(key, JSON.stringify(state));
+  } catch (error) {
+    console.warn(`WARNING: Could not save scene state: ${error?.message || error}`);
+  }
+}
+
+/**
+ * Forget a saved scene state, e.g. one that could not be restored.
+ * @param {string} key
+ */
+export function clearStoredSceneState(key) {
+  try {
+    window.localStorage.removeItem(key);
+  } catch (error) {
+    console.warn(`WARNING: Could not clear saved scene state: ${error?.message || error}`);
+  }
+}
+
+/**
+ * Read a scene state previously saved with storeSceneState.
+ * @param {string} key
+ * @returns {SceneState | null}
+ */
+export function loadStoredSceneState(key) {
+  try {
+    const raw = window.localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : null;
+  } catch (error) {
+    console.warn(`WARNING: Could not read saved scene state: ${error?.message || error}`);
+    return null;
+  }
+}
+
+function isSavedAccessory(entry) {
+  return (
+    entry != null &&
+    typeof entry === 'object' &&
+    typeof entry.objectId === 'string' &&
+    typeof entry.host === 'string' &&
+    typeof entry.socket === 'string'
+  );
+}
+
+function freeId(id) {
+  return typeof id === 'string' && !getInstance(id) ? id : undefined;
+}
@@ -0,0 +1,132 @@
+/** @file High-resolution PNG snapshots of the current composition, with optional frame and title. */
+import { Vector2 } from 'three';
+import { addTrayControl } from './controls.js';
+
+const DEFAULTS = {
+  width: 3840,
+  height: 2160,
+  background: '#111111',
+  frame: { width: 0, color: '#ffffff' },
+  title: '',
+  titleColor: '#ffffff',
+  titleFont: 'sans-serif'
+};
+
+/**
+ * Render the scene at a fixed resolution, independent of the kiosk viewport, and encode a PNG.
+ * The live canvas is resized for one frame and restored before the promise settles.
+ * @param {{
+ *   renderer: import('three').WebGLRenderer,
+ *   scene: import('three').Scene,
+ *   camera: import('three').PerspectiveCamera,
+ *   options?: {
+ *     width?: number,
+ *     height?: number,
+ *     background?: string,
+ *     frame?: {width?: number, color?: string},
+ *     title?: string,
+ *     titleColor?: string,
+ *     titleFont?: string
+ *   }
+ * }} params - `width`/`height` are the final image size in pixels, frame and title included.
+ * @returns {Promise<Blob>}
+ */
+export function captureSnapshot({ renderer, scene, camera, options = {} }) {
+  const settings = { ...DEFAULTS, ...options, frame: { ...DEFAULTS.frame, ...(options.frame || {}) } };
+  const width = Math.max(1, Math.round(settings.width));
+  const height = Math.max(1, Math.round(settings.height));
+  const border = Math.max(0, settings.frame.width || 0);
+  const titleBand = settings.title ? Math.round(height * 0.08) : 0;
+
+  // Largest render the GPU allows, keeping the requested aspect.
+  const maxSize = renderer.capabilities.maxTextureSize || 4096;
+  const innerWidth = Math.max(1, width - border * 2);
+  const innerHeight = Math.max(1, height - border * 2 - titleBand);
+  const fit = Math.min(1, maxSize / innerWidth, maxSize / innerHeight);
+  const renderWidth = Math.floor(innerWidth * fit);
+  const renderHeight = Math.floor(innerHeight * fit);
+
+  const output = document.createElement('canvas');
+  output.width = width;
+  output.height = height;
+  const ctx = output.getContext('2d');
+  ctx.fillStyle = border > 0 ? settings.frame.color : settings.background;
+  ctx.fillRect(0, 0, width, height);
+  ctx.fillStyle = settings.background;
+  ctx.fillRect(border, border, innerWidth, innerHeight);
+
+  const previousSize = renderer.getSize(new Vector2());
+  const previousPixelRatio = renderer.getPixelRatio();
+  const previousAspect = camera.aspect;
+  try {
+    renderer.setPixelRatio(1);
+    renderer.setSize(renderWidth, renderHeight, false);
+    camera.aspect = renderWidth / renderHeight;
+    camera.updateProjectionMatrix();
+    renderer.render(scene, camera);
+    // Copy in the same task as the render; the drawing buffer is not preserved afterwards.
+    ctx.drawImage(renderer.domElement, 0, 0, renderWidth, renderHeight, border, border, innerWidth, innerHeight);
+  } finally {
+    renderer.setPixelRatio(previousPixelRatio);
+    renderer.setSize(previousSize.x, previousSize.y, false);
+    camera.aspect = previousAspect;
+    camera.updateProjectionMatrix();
+  }
+
+  if (settings.title) {
+    ctx.fillStyle = settings.titleColor;
+    ctx.font = `${Math.round(titleBand * 0.5)}px ${settings.titleFont}`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(settings.title, width / 2, height - border - titleBand / 2, innerWidth);
+  }
+
+  return new Promise((resolve, reject) => {
+    output.toBlob((blob) => {
+      if (blob) {
+        resolve(blob);
+      } else {
+        reject(new Error('Snapshot encoding failed.'));
+      }
+    }, 'image/png');
+  });
+}
+
+/**
+ * Offer a Blob as a file download.
+ * @param {Blob} blob
+ * @param {string} filename
+ */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Add a snapshot button to the tray controls that downloads a PNG of the composition.
+ * @param {{onCapture: () => Promise<void>}} config
+ */
+export function initSnapshotControl({ onCapture } = {}) {
+  if (!onCapture) return;
+  const button = addTrayControl({
+    action: 'snapshot',
+    glyph: '◉',
+    label: 'Save picture',
+    onPress: async () => {
+      button.disabled = true;
+      try {
+        await onCapture();
+      } catch (error) {
+        console.warn(`WARNING: Snapshot failed: ${error?.message || error}`);
+      } finally {
+        button.disabled = false;
+      }
+    }
+  });
+}
@@ -0,0 +1,120 @@
+/** @file Socket rules from config: which accessories may attach to which host sockets. */
+
+const objectConfigs = new Map();
+
+/**
+ * Register object entries so attachment rules can be evaluated by name.
+ * @param {Record<string, any>[]} allObjects - Normalized entries from loadObjectConfig.
+ */
+export function initSocketRules(allObjects = []) {
+  objectConfigs.clear();
+  allObjects.forEach((entry) => {
+    if (entry?.name) objectConfigs.set(entry.name, entry);
+  });
+}
+
+/**
+ * Decide whether an accessory may attach to a given host socket.
+ * An explicit `allowedSockets` map is authoritative; when omitted, any parent socket on a host
+ * with a larger `sizeRank` is allowed.
+ * @param {string} accessoryId - Name of the accessory being placed.
+ * @param {string} hostId - Name of the object that owns the socket.
+ * @param {string} socketId - Socket node name on the host (e.g. `socket_p_0`).
+ * @returns {boolean}
+ */
+export function canAttach(accessoryId, hostId, socketId) {
+  const accessory = objectConfigs.get(accessoryId);
+  const host = objectConfigs.get(hostId);
+  if (!accessory || !host || accessory === host) return false;
+  if (accessory.objClass !== 'accessory') return false;
+  if (typeof socketId !== 'string' || !socketId.startsWith('socket_p_')) return false;
+
+  const allowed = accessory.allowedSockets;
+  if (allowed && typeof allowed === 'object') {
+    const hostSockets = allowed[hostId];
+    return Array.isArray(hostSockets) && hostSockets.includes(socketId);
+  }
+
+  return rankOf(host) > rankOf(accessory);
+}
+
+/**
+ * Capture radius for an accessory, in host-local units, from its `influence.radius`.
+ * @param {string} accessoryId
+ * @returns {number | undefined} radius, or undefined when the config does not define one
+ */
+export function getCaptureRadius(accessoryId) {
+  const radius = objectConfigs.get(accessoryId)?.influence?.radius;
+  return Number.isFinite(radius) && radius > 0 ? radius : undefined;
+}
+
+/**
+ * Compare config socket declarations with the `socket_*` nodes found in loaded GLBs.
+ * Reports sockets declared but missing from a model, sockets in a model but not declared, and
+ * `allowedSockets` entries naming unknown hosts or socket ids. Objects whose model did not load
+ * are only checked against the config.
+ * @param {{objectId: string, socketId: string}[]} socketRegistry - Sockets collected at load time.
+ * @param {string[]} loadedIds - Names of objects whose model loaded.
+ * @returns {{path: string, object: string, message: string}[]}
+ */
+export function checkSocketConsistency(socketRegistry, loadedIds) {
+  const loaded = new Set(loadedIds);
+  const found = new Map();
+  socketRegistry.forEach(({ objectId, socketId }) => {
+    if (!found.has(objectId)) found.set(objectId, new Set());
+    found.get(objectId).add(socketId);
+  });
+
+  const problems = [];
+  objectConfigs.forEach((entry, name) => {
+    const declared = declaredSockets(entry);
+    if (loaded.has(name)) {
+      const inModel = found.get(name) ?? new Set();
+      declared.forEach((socketId, index) => {
+        if (!inModel.has(socketId)) {
+          problems.push({
+            path: `objects.${name}.sockets.${index}`,
+            object: name,
+            message: `declares "${socketId}", but the model has no node with that name`
+          });
+        }
+      });
+      inModel.forEach((socketId) => {
+        if (!declared.includes(socketId)) {
+          problems.push({
+            path: `objects.${name}.sockets`,
+            object: name,
+            message: `does not declare "${socketId}", which exists in the model`
+          });
+        }
+      });
+    }
+
+    Object.entries(entry.allowedSockets ?? {}).forEach(([hostId, socketIds]) => {
+      const path = `objects.${name}.allowedSockets.${hostId}`;
+      const host = objectConfigs.get(hostId);
+      if (!host) {
+        problems.push({ path, object: name, message: `names unknown host "${hostId}"` });
+        return;
+      }
+      const hostSockets = new Set([...declaredSockets(host), ...(found.get(hostId) ?? [])]);
+      (Array.isArray(socketIds) ? socketIds : []).forEach((socketId) => {
+        if (!hostSockets.has(socketId)) {
+          problems.push({ path, object: name, message: `names "${socketId}", which "${hostId}" does not have` });
+        }
+      });
+    });
+  });
+
+  return problems;
+}
+
+function declaredSockets(entry) {
+  return (Array.isArray(entry?.sockets) ? entry.sockets : []).map((socket) => socket?.id).filter(Boolean);
+}
+
+function rankOf(entry) {
+  if (Number.isFinite(entry?.sizeRank)) return entry.sizeRank;
+  // Unranked bases outrank every accessory; unranked accessories rank lowest.
+  return entry?.objClass === 'base' ? Infinity : 0;
+}
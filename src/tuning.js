@@ -0,0 +1,200 @@
+/** @file Hidden on-site tuning panel for interaction physics, unlocked by a multi-finger hold. */
+
+const DEFAULT_UNLOCK_FINGERS = 3;
+const DEFAULT_UNLOCK_HOLD_MS = 3000;
+const UNLOCK_MOVE_TOLERANCE_PX = 30;
+
+// Zoom limits are left out: the controller holds them scaled to the fitted camera distance,
+// so copying them back would not round-trip into objects.hjson.
+const SLIDERS = [
+  { key: 'spinAcceleration', min: 0, max: 10, step: 0.1 },
+  { key: 'spinFriction', min: 0, max: 1, step: 0.01 },
+  { key: 'idleSpinImpulse', min: 0, max: 2, step: 0.05 },
+  { key: 'minAngularSpeed', min: 0, max: 3, step: 0.05 },
+  { key: 'uprightStrength', min: 0, max: 2, step: 0.01 },
+  { key: 'uprightThreshold', min: 0, max: 3, step: 0.05 },
+  { key: 'zoomSpeed', min: 0, max: 0.01, step: 0.0005 },
+  { key: 'pinchZoomMultiplier', min: 0, max: 40, step: 0.5 },
+  { key: 'xAxisMultiplier', min: 0, max: 2, step: 0.05 },
+  { key: 'yAxisMultiplier', min: 0, max: 2, step: 0.05 }
+];
+// Only read when the controller is created, so a slider would do nothing; still copied out so the
+// pasted block keeps the configured value.
+const COPY_ONLY_KEYS = ['initialYawSpin'];
+
+/**
+ * Build the tuning panel and arm its unlock gesture: hold `unlockFingers` fingers still on the
+ * screen for `unlockHoldMs` to show or hide it. Sliders write straight into the live controller.
+ * @param {{
+ *   interaction: {getConfig: () => Record<string, number | string>, setConfig: (config: Object) => void},
+ *   config?: {enabled?: boolean, unlockFingers?: number, unlockHoldMs?: number}
+ * }} options
+ * @returns {{open: () => void, close: () => void, dispose: () => void} | undefined}
+ *   undefined when disabled in config
+ */
+export function initTuningPanel({ interaction, config = {} }) {
+  const {
+    enabled = true,
+    unlockFingers = DEFAULT_UNLOCK_FINGERS,
+    unlockHoldMs = DEFAULT_UNLOCK_HOLD_MS
+  } = config;
+  if (!enabled || !interaction) return undefined;
+
+  const panel = buildPanel();
+  const touches = new Map();
+  let holdTimer = null;
+
+  function open() {
+    syncFromController();
+    panel.hidden = false;
+  }
+
+  function close() {
+    panel.hidden = true;
+  }
+
+  function syncFromController() {
+    const current = interaction.getConfig();
+    panel.querySelectorAll('input[type="range"]').forEach((input) => {
+      const value = current[input.name];
+      if (value == null) return;
+      input.value = String(value);
+      input.nextElementSibling.textContent = formatValue(value);
+    });
+  }
+
+  function buildPanel() {
+    const root = document.createElement('div');
+    root.id = 'tuning';
+    root.className = 'panel';
+    root.hidden = true;
+    // Slider drags must not spin the sculpture or pick up accessories underneath.
+    root.addEventListener('pointerdown', (event) => event.stopPropagation());
+
+    const heading = document.createElement('h2');
+    heading.textContent = 'Interaction tuning';
+    root.appendChild(heading);
+
+    SLIDERS.forEach(({ key, min, max, step }) => {
+      const label = document.createElement('label');
+      const name = document.createElement('span');
+      name.textContent = key;
+      const input = document.createElement('input');
+      input.type = 'range';
+      input.name = key;
+      input.min = String(min);
+      input.max = String(max);
+      input.step = String(step);
+      const output = document.createElement('output');
+      input.addEventListener('input', () => {
+        const value = Number(input.value);
+        output.textContent = formatValue(value);
+        interaction.setConfig({ [key]: value });
+      });
+      label.append(name, input, output);
+      root.appendChild(label);
+    });
+
+    const snippet = document.createElement('textarea');
+    snippet.readOnly = true;
+    snippet.hidden = true;
+
+    const copy = document.createElement('button');
+    copy.type = 'button';
+    copy.textContent = 'Copy as HJSON';
+    copy.addEventListener('click', async () => {
+      snippet.value = toHjson(interaction.getConfig());
+      snippet.hidden = false;
+      try {
+        await navigator.clipboard.writeText(snippet.value);
+        copy.textContent = 'Copied';
+      } catch (error) {
+        // No clipboard (e.g. insecure origin): leave the text selected for a manual copy.
+        snippet.select();
+        copy.textContent = 'Select and copy below';
+        console.warn(`WARNING: Clipboard unavailable: ${error?.message || error}`);
+      }
+      setTimeout(() => {
+        copy.textContent = 'Copy as HJSON';
+      }, 2000);
+    });
+
+    const closeButton = document.createElement('button');
+    closeButton.type = 'button';
+    closeButton.textContent = 'Close';
+    closeButton.addEventListener('click', close);
+
+    const actions = document.createElement('div');
+    actions.className = 'actions';
+    actions.append(copy, closeButton);
+    root.append(actions, snippet);
+    document.body.appendChild(root);
+    return root;
+  }
+
+  function onPointerDown(event) {
+    if (event.pointerType !== 'touch') return;
+    touches.set(event.pointerId, { x: event.clientX, y: event.clientY });
+    if (touches.size === unlockFingers) {
+      clearTimeout(holdTimer);
+      holdTimer = setTimeout(() => {
+        holdTimer = null;
+        if (panel.hidden) open();
+        else close();
+      }, unlockHoldMs);
+    } else {
+      cancelHold();
+    }
+  }
+
+  function onPointerMove(event) {
+    const start = touches.get(event.pointerId);
+    if (!start) return;
+    if (Math.hypot(event.clientX - start.x, event.clientY - start.y) > UNLOCK_MOVE_TOLERANCE_PX) {
+      cancelHold();
+    }
+  }
+
+  function onPointerUp(event) {
+    touches.delete(event.pointerId);
+    cancelHold();
+  }
+
+  function cancelHold() {
+    clearTimeout(holdTimer);
+    holdTimer = null;
+  }
+
+  window.addEventListener('pointerdown', onPointerDown, true);
+  window.addEventListener('pointermove', onPointerMove, true);
+  window.addEventListener('pointerup', onPointerUp, true);
+  window.addEventListener('pointercancel', onPointerUp, true);
+
+  function dispose() {
+    cancelHold();
+    window.removeEventListener('pointerdown', onPointerDown, true);
+    window.removeEventListener('pointermove', onPointerMove, true);
+    window.removeEventListener('pointerup', onPointerUp, true);
+    window.removeEventListener('pointercancel', onPointerUp, true);
+    panel.remove();
+  }
+
+  return { open, close, dispose };
+}
+
+/**
+ * Format tuned values as an `interaction` block ready to paste into objects.hjson.
+ * @param {Record<string, number>} values
+ * @returns {string}
+ */
+function toHjson(values) {
+  const lines = [...SLIDERS.map(({ key }) => key), ...COPY_ONLY_KEYS]
+    .filter((key) => values[key] != null)
+    .map((key) => `  ${key}: ${formatValue(values[key])}`);
+  return `interaction: {\n${lines.join('\n')}\n}\n`;
+}
+
+function formatValue(value) {
+  // Trim float noise from slider steps (0.30000000000000004 -> 0.3).
+  return String(Number(Number(value).toPrecision(6)));
+}
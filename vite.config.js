@@ -1,11 +1,41 @@
-/** @file Vite config with shimmed aliases for browser builds. */
-import { defineConfig } from 'vite';
-import { resolve } from 'node:path';
+/** @file Vite config with shimmed aliases for browser builds and dev hot reload of config and models. */
+import { defineConfig, normalizePath } from 'vite';
+import { posix, resolve } from 'node:path';
 
 export default defineConfig({
+  plugins: [galleryHotReload()],
   resolve: {
     alias: {
       os: resolve(__dirname, 'src/shims/os.js')
     }
   }
 });
+
+/**
+ * Tell the running viewer about edited `.hjson` config and `.glb` models in the public folder
+ * instead of reloading the page (see src/devReload.js for the client side).
+ * @returns {import('vite').Plugin}
+ */
+function galleryHotReload() {
+  return {
+    name: 'gallery-hot-reload',
+    apply: 'serve',
+    handleHotUpdate({ file, server }) {
+      // Vite hands over forward-slash paths on every platform, Windows included.
+      const publicDir = server.config.publicDir && normalizePath(server.config.publicDir);
+      const changed = normalizePath(file);
+      if (!publicDir || !changed.startsWith(`${publicDir}/`)) return undefined;
+
+      const path = `/${posix.relative(publicDir, changed)}`;
+      const event = path.endsWith('.hjson')
+        ? 'gallery:config-changed'
+        : path.endsWith('.glb')
+          ? 'gallery:asset-changed'
+          : null;
+      if (!event) return undefined;
+
+      server.ws.send({ type: 'custom', event, data: { path } });
+      return [];
+    }
+  };
+}